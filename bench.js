@@ -0,0 +1,119 @@
+// Benchmark page (bench.html): times Baum–Welch iterations of the typed-array
+// engine against T and N, and checks them against the nested-array reference.
+
+import {DiscreteHMM, mulberry32} from "./hmm.js";
+import {drawLineChart} from "./charts.js";
+
+const benchTsEl = document.getElementById("benchTs");
+const benchNsEl = document.getElementById("benchNs");
+const benchMEl = document.getElementById("benchM");
+const benchItersEl = document.getElementById("benchIters");
+const benchSeedEl = document.getElementById("benchSeed");
+const benchRefEl = document.getElementById("benchRef");
+const benchBtn = document.getElementById("benchBtn");
+const benchCancelBtn = document.getElementById("benchCancelBtn");
+const benchStatus = document.getElementById("benchStatus");
+const benchOut = document.getElementById("benchOut");
+const benchChart = document.getElementById("benchChart");
+
+// The reference keeps a (T−1)×N×N xi tensor of nested arrays.
+const REFERENCE_MAX_T = 20000;
+const SERIES_COLORS = ["#2563eb", "#059669", "#d97706", "#7c3aed", "#ef4444", "#0891b2"];
+
+// Largest difference between two equally shaped (nested) arrays, relative to
+// the size of the values once they exceed 1.
+function maxRelDiff(a, b) {
+  const x = [a].flat(2), y = [b].flat(2);
+  return x.reduce((m, v, k) => Math.max(m, Math.abs(v - y[k]) / Math.max(1, Math.abs(y[k]))), 0);
+}
+
+// One case: `iters` iterations from a random model on T symbols sampled from
+// another. Returns ms per iteration for the engine and, when checked, for the
+// reference with the largest difference between their results.
+function benchCase({T, N, M, iters, seed, reference}) {
+  const obs = new DiscreteHMM(N, M, seed).sample(T, mulberry32(seed + 1)).obs;
+  const hmm = new DiscreteHMM(N, M, seed + 2);
+  const ref = hmm.withSnapshot(structuredClone(hmm.snapshot()));
+
+  let start = performance.now();
+  const fast = hmm.baumWelch(obs, iters, 0);
+  const result = {T, N, ms: (performance.now() - start) / iters, refMs: NaN, diff: NaN,
+                  loglik: fast.loglikHist[fast.loglikHist.length - 1]};
+  if (reference && T <= REFERENCE_MAX_T) {
+    start = performance.now();
+    const slow = ref.baumWelchReference(obs, iters, 0);
+    result.refMs = (performance.now() - start) / iters;
+    result.diff = Math.max(maxRelDiff(fast.loglikHist, slow.loglikHist),
+                           ...["pi", "A", "B"].map(k => maxRelDiff(hmm[k], ref[k])));
+  }
+  return result;
+}
+
+function readList(el, name) {
+  const xs = el.value.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (xs.length === 0 || xs.some(x => !Number.isInteger(x) || x < 1)) throw new Error(`${name} must be positive integers.`);
+  return Array.from(new Set(xs)).sort((a, b) => a - b);
+}
+
+let cancelled = false;
+
+benchBtn.addEventListener("click", async () => {
+  let Ts, Ns;
+  try {
+    Ts = readList(benchTsEl, "Lengths T");
+    Ns = readList(benchNsEl, "States N");
+  } catch (err) {
+    benchStatus.textContent = `⚠ ${err.message}`;
+    return;
+  }
+  const M = Math.max(2, Math.round(Number(benchMEl.value)) || 2);
+  const iters = Math.max(1, Math.round(Number(benchItersEl.value)) || 1);
+  const seed = Number(benchSeedEl.value) || 0;
+  const reference = benchRefEl.checked;
+
+  cancelled = false;
+  benchBtn.disabled = true;
+  benchCancelBtn.hidden = false;
+  const results = [];
+  try {
+    for (const N of Ns) {
+      for (const T of Ts) {
+        if (cancelled) break;
+        benchStatus.textContent = `Running… N=${N}, T=${T} (${results.length + 1}/${Ns.length * Ts.length})`;
+        await new Promise(resolve => setTimeout(resolve, 30));   // let the status paint
+        results.push(benchCase({T, N, M, iters, seed, reference}));
+        renderBench(results, Ts, Ns);
+      }
+    }
+    const worst = Math.max(...results.map(r => r.diff).filter(Number.isFinite));
+    const check = Number.isFinite(worst) ? ` · largest difference from the reference ${worst.toExponential(1)}` : "";
+    benchStatus.textContent = `${cancelled ? "⏹ Cancelled" : "✅ Done"} — ${results.length} case${results.length === 1 ? "" : "s"}, ${iters} iteration${iters === 1 ? "" : "s"} each${check}`;
+  } catch (err) {
+    benchStatus.textContent = `⚠ Benchmark failed: ${err.message}`;
+  } finally {
+    benchBtn.disabled = false;
+    benchCancelBtn.hidden = true;
+  }
+});
+
+benchCancelBtn.addEventListener("click", () => { cancelled = true; });
+
+function renderBench(results, Ts, Ns) {
+  drawLineChart(benchChart, Ts, Ns.map((N, k) => ({
+    label: `N=${N}`,
+    color: SERIES_COLORS[k % SERIES_COLORS.length],
+    values: Ts.map(T => { const r = results.find(r => r.N === N && r.T === T); return r ? r.ms : NaN; }),
+  })), {logX: true, xLabel: "T (log scale)"});
+
+  let html = `<table class="runs-table"><thead><tr><th>N</th><th>T</th><th>ms / iter</th><th>Reference</th>` +
+             `<th>Speed-up</th><th>Max Δ</th><th>Final log-lik</th></tr></thead><tbody>`;
+  results.forEach(r => {
+    const checked = Number.isFinite(r.refMs);
+    html += `<tr><td>${r.N}</td><td>${r.T}</td><td>${r.ms.toFixed(2)}</td>` +
+            `<td>${checked ? r.refMs.toFixed(2) : "—"}</td><td>${checked ? `${(r.refMs / r.ms).toFixed(1)}×` : "—"}</td>` +
+            `<td>${checked ? r.diff.toExponential(1) : "—"}</td><td>${r.loglik.toFixed(2)}</td></tr>`;
+  });
+  html += `</tbody></table><p class="small">Max Δ is the largest difference between the engine's and the reference's ` +
+          `log-likelihoods and parameters (relative for values above 1). The reference is skipped above T = ${REFERENCE_MAX_T}.</p>`;
+  benchOut.innerHTML = html;
+}
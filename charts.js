@@ -0,0 +1,68 @@
+// Canvas charts shared by the page (script.js) and the benchmark (bench.js).
+
+// Small multi-series line chart for experiment panels. series:
+// [{label, color, values}] aligned with xs. Returns the pixel x of each xs
+// entry and the y mapper so callers can hit-test clicks.
+export function drawLineChart(cv, xs, series, {logX=false, highlight=null, xLabel="", maxTicks=Infinity, dots=true}={}) {
+  const g = cv.getContext("2d");
+  g.clearRect(0,0,cv.width,cv.height);
+  if (xs.length === 0) return null;
+
+  const pad = { top: 28, right: 20, bottom: 34, left: 60 };
+  const W = cv.width - pad.left - pad.right;
+  const H = cv.height - pad.top - pad.bottom;
+  const fx = logX ? Math.log : (x => x);
+  let x0 = Infinity, x1 = -Infinity, minV = Infinity, maxV = -Infinity;
+  for (const x of xs) { x0 = Math.min(x0, fx(x)); x1 = Math.max(x1, fx(x)); }
+  for (const {values} of series)
+    for (const v of values) if (Number.isFinite(v)) { minV = Math.min(minV, v); maxV = Math.max(maxV, v); }
+  const range = (maxV - minV) || 1;
+  const xOf = x => pad.left + (x1 === x0 ? W/2 : (fx(x) - x0)/(x1 - x0)*W);
+  const yOf = v => pad.top + H - ((v - minV)/range)*H;
+
+  g.strokeStyle = "#c4cfe0";
+  g.lineWidth = 1.5;
+  g.beginPath();
+  g.moveTo(pad.left, pad.top);
+  g.lineTo(pad.left, pad.top + H);
+  g.lineTo(pad.left + W, pad.top + H);
+  g.stroke();
+
+  if (highlight !== null) {
+    g.fillStyle = "rgba(5,150,105,0.10)";
+    g.fillRect(xOf(xs[highlight]) - 10, pad.top, 20, H);
+  }
+
+  series.forEach(({color, values}) => {
+    g.strokeStyle = color;
+    g.fillStyle = color;
+    g.lineWidth = 2;
+    g.beginPath();
+    values.forEach((v, i) => { if (i === 0) g.moveTo(xOf(xs[i]), yOf(v)); else g.lineTo(xOf(xs[i]), yOf(v)); });
+    g.stroke();
+    if (dots) values.forEach((v, i) => { g.beginPath(); g.arc(xOf(xs[i]), yOf(v), 3.5, 0, Math.PI*2); g.fill(); });
+  });
+
+  g.font = "11px 'IBM Plex Mono', monospace";
+  g.fillStyle = "#6b7a99";
+  g.textAlign = "right";
+  g.fillText(maxV.toPrecision(3), pad.left - 6, pad.top + 4);
+  g.fillText(minV.toPrecision(3), pad.left - 6, pad.top + H + 4);
+  g.textAlign = "center";
+  const every = Math.ceil(xs.length / maxTicks);
+  xs.forEach((x, i) => { if (i % every === 0) g.fillText(String(x), xOf(x), pad.top + H + 16); });
+  if (xLabel) g.fillText(xLabel, pad.left + W/2, pad.top + H + 30);
+
+  // Legend
+  g.textAlign = "left";
+  let lx = pad.left;
+  series.forEach(({label, color}) => {
+    g.fillStyle = color;
+    g.fillRect(lx, 10, 10, 10);
+    g.fillStyle = "#4a5878";
+    g.fillText(label, lx + 14, 19);
+    lx += 24 + g.measureText(label).width;
+  });
+
+  return {xs: xs.map(xOf), yOf};
+}
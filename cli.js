@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// Headless trainer: reads an observation file, trains with the same options
+// as the page's Configuration card and prints the model JSON (the page's
+// export format) with the Viterbi path of every sequence added as "viterbi".
+
+import {readFileSync} from "node:fs";
+import {parseArgs} from "node:util";
+import {
+  argmax, modelToJSON, parseSequences, parseCSV, csvColumnText,
+  usesGaussian, encodeTrainingData, restartJobs, trainJob, INIT_MODES, LEARNING_RULES,
+} from "./hmm.js";
+
+const USAGE = `Usage: node cli.js [options] <observations.txt|.csv|->
+
+Input
+  --single-sequence       join all lines into one sequence (default: one per line)
+  --tokenize MODE         whitespace | chars | delimiter (default whitespace)
+  --delimiter STR         separator for --tokenize delimiter
+  --fold-case             lower-case every symbol
+  --csv-column COL        CSV column by header name or 1-based index (default 1)
+  --csv-rows KIND         symbols (one symbol per row) | sequences (one per row)
+  --no-header             the CSV has no header row
+
+Training
+  -n, --states N          hidden states (default 3)
+  --iters N               max EM iterations (default 30)
+  --tol X                 convergence tolerance on the log-likelihood (default 1e-4)
+  --seed N                random seed; restart k uses seed + k (default 42)
+  --init MODE             random | uniform | dirichlet | frequency | kmeans (default random)
+  --concentration X       Dirichlet concentration for --init dirichlet (default 1)
+  --window N              window length for --init kmeans (default 5)
+  --algorithm RULE        baum-welch | viterbi (hard EM) | both (default baum-welch)
+  --emission KIND         auto | discrete | gaussian (default auto)
+  --restarts N            random restarts, best kept (default 1)
+
+Priors (MAP)
+  --prior                 enable Dirichlet priors
+  --alpha-pi X, --alpha-a X, --alpha-b X   concentrations ≥ 1 (default 1, 1.5, 1.5)
+  --sticky X              extra self-transition mass (default 0)
+  --pseudocounts JSON     extra {pi, A, B} pseudocounts
+
+Constraints
+  --topology KIND         ergodic | left-right (default ergodic)
+  --max-jump N            left-right only (default 1)
+  --zeros-a "0>2 1>0"     structural zeros in A
+  --zeros-b "0:H 2:W"     structural zeros in B (discrete only)
+  --freeze LIST           comma-separated parts to keep fixed: pi,A,B
+
+Output
+  --compact               single-line JSON
+  -q, --quiet             no progress on stderr
+  -h, --help              show this help`;
+
+const OPTIONS = {
+  "single-sequence": {type: "boolean"},
+  "tokenize": {type: "string", default: "whitespace"},
+  "delimiter": {type: "string", default: ""},
+  "fold-case": {type: "boolean"},
+  "csv-column": {type: "string", default: "1"},
+  "csv-rows": {type: "string", default: "symbols"},
+  "no-header": {type: "boolean"},
+  "states": {type: "string", short: "n", default: "3"},
+  "iters": {type: "string", default: "30"},
+  "tol": {type: "string", default: "1e-4"},
+  "seed": {type: "string", default: "42"},
+  "init": {type: "string", default: "random"},
+  "concentration": {type: "string", default: "1"},
+  "window": {type: "string", default: "5"},
+  "algorithm": {type: "string", default: "baum-welch"},
+  "emission": {type: "string", default: "auto"},
+  "restarts": {type: "string", default: "1"},
+  "prior": {type: "boolean"},
+  "alpha-pi": {type: "string", default: "1"},
+  "alpha-a": {type: "string", default: "1.5"},
+  "alpha-b": {type: "string", default: "1.5"},
+  "sticky": {type: "string", default: "0"},
+  "pseudocounts": {type: "string", default: ""},
+  "topology": {type: "string", default: "ergodic"},
+  "max-jump": {type: "string", default: "1"},
+  "zeros-a": {type: "string", default: ""},
+  "zeros-b": {type: "string", default: ""},
+  "freeze": {type: "string", default: ""},
+  "compact": {type: "boolean"},
+  "quiet": {type: "boolean", short: "q"},
+  "help": {type: "boolean", short: "h"},
+};
+
+function choice(value, allowed, name) {
+  if (!allowed.includes(value)) throw new Error(`--${name} must be one of ${allowed.join(", ")}, got "${value}"`);
+  return value;
+}
+
+function int(value, name, min) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new Error(`--${name} must be an integer ≥ ${min}, got "${value}"`);
+  return n;
+}
+
+function num(value, name) {
+  const x = Number(value);
+  if (!Number.isFinite(x)) throw new Error(`--${name} must be a number, got "${value}"`);
+  return x;
+}
+
+// The settings object the page's readSettings() would build for these flags.
+function settingsFromArgs(v) {
+  const freeze = v.freeze.split(",").map(s => s.trim()).filter(Boolean);
+  freeze.forEach(part => choice(part, ["pi", "A", "B"], "freeze"));
+  const constraints = {
+    topology: choice(v.topology, ["ergodic", "left-right"], "topology"),
+    maxJump: int(v["max-jump"], "max-jump", 0),
+    zerosA: v["zeros-a"].trim(),
+    zerosB: v["zeros-b"].trim(),
+    freeze: {pi: freeze.includes("pi"), A: freeze.includes("A"), B: freeze.includes("B")},
+  };
+  let prior = null;
+  if (v.prior) {
+    let pseudocounts = {};
+    if (v.pseudocounts.trim()) {
+      try { pseudocounts = JSON.parse(v.pseudocounts); }
+      catch (err) { throw new Error(`--pseudocounts is not valid JSON (${err.message})`); }
+    }
+    prior = {
+      alphaPi: num(v["alpha-pi"], "alpha-pi"), alphaA: num(v["alpha-a"], "alpha-a"),
+      alphaB: num(v["alpha-b"], "alpha-b"), sticky: num(v.sticky, "sticky"), pseudocounts,
+    };
+  }
+  const unconstrained = constraints.topology === "ergodic" && !constraints.zerosA && !constraints.zerosB && freeze.length === 0;
+  return {
+    nStates: int(v.states, "states", 1),
+    maxIter: int(v.iters, "iters", 1),
+    tol: num(v.tol, "tol"),
+    seed: num(v.seed, "seed"),
+    initMode: choice(v.init, INIT_MODES, "init"),
+    initConcentration: num(v.concentration, "concentration"),
+    initWindow: int(v.window, "window", 1),
+    algorithm: choice(v.algorithm, [...LEARNING_RULES, "both"], "algorithm"),
+    emission: choice(v.emission, ["auto", "discrete", "gaussian"], "emission"),
+    multiSeq: !v["single-sequence"],
+    tokenizer: {mode: choice(v.tokenize, ["whitespace", "chars", "delimiter"], "tokenize"),
+                delimiter: v.delimiter, caseFold: !!v["fold-case"]},
+    restarts: int(v.restarts, "restarts", 1),
+    prior,
+    constraints: unconstrained ? null : constraints,
+  };
+}
+
+// Observation text from a plain file, or from one column of a CSV file.
+function readObservationText(file, v, tokenizer) {
+  const raw = readFileSync(file === "-" ? 0 : file, "utf8");
+  if (!/\.csv$/i.test(file)) return raw;
+  const rows = parseCSV(raw);
+  if (rows.length === 0) throw new Error(`${file} has no rows`);
+  const header = !v["no-header"];
+  const byName = header ? rows[0].findIndex(h => h.trim() === v["csv-column"]) : -1;
+  const column = byName >= 0 ? byName : int(v["csv-column"], "csv-column", 1) - 1;
+  const rowsAre = choice(v["csv-rows"], ["symbols", "sequences"], "csv-rows");
+  return csvColumnText(rows, column, {header, rowsAre, tokenizer}).text;
+}
+
+function main(argv) {
+  const {values: v, positionals} = parseArgs({args: argv, options: OPTIONS, allowPositionals: true});
+  if (v.help) { console.log(USAGE); return; }
+  if (positionals.length !== 1) throw new Error("expected exactly one observation file (use - for stdin)");
+  const log = v.quiet ? () => {} : msg => process.stderr.write(msg + "\n");
+
+  const settings = settingsFromArgs(v);
+  const text = readObservationText(positionals[0], v, settings.tokenizer);
+  // As on the page, a CSV with one sequence per row is always read per line.
+  if (/\.csv$/i.test(positionals[0]) && v["csv-rows"] === "sequences") settings.multiSeq = true;
+  const seqSymbols = parseSequences(text, settings.multiSeq, settings.tokenizer);
+  if (seqSymbols.length === 0) throw new Error("no observations in the input");
+  const data = encodeTrainingData(seqSymbols, usesGaussian(settings, seqSymbols));
+  const jobs = restartJobs(settings, data);
+  log(`${data.seqs.length} sequence(s), ${data.totalLen} observations, ` +
+      `${data.gaussian ? "Gaussian emissions" : `${data.inv.length} symbols`}, N=${settings.nStates}`);
+
+  if (settings.initMode === "uniform" && settings.nStates > 1)
+    log("warning: uniform init is a fixed point of EM, so the states will stay identical");
+
+  const runs = jobs.map((job, j) => {
+    const {hmm, loglikHist} = trainJob(job, data.seqs);
+    const rule = settings.algorithm === "both" ? `, ${job.algorithm}` : "";
+    log(`run ${j + 1}/${jobs.length} (seed ${job.seed}${rule}): ${loglikHist.length} iterations, ` +
+        `${settings.prior ? "log-post" : "log-lik"} ${loglikHist[loglikHist.length - 1].toFixed(4)}`);
+    return {job, hmm, loglikHist};
+  });
+  const {job, hmm, loglikHist} = runs[argmax(runs.map(r => r.loglikHist[r.loglikHist.length - 1]))];
+
+  const doc = modelToJSON(hmm, {
+    inv: data.inv, loglikHist, observations: seqSymbols,
+    settings: {...settings, seed: job.seed, algorithm: job.algorithm, restarts: 1},
+  });
+  doc.viterbi = data.seqs.map(O => hmm.viterbi(O));
+  process.stdout.write(JSON.stringify(doc, null, v.compact ? 0 : 2) + "\n");
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  process.stderr.write(`cli.js: ${err.message}\n`);
+  process.exitCode = 1;
+}
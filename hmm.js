@@ -0,0 +1,1711 @@
+// Pure JS HMM (discrete or Gaussian emissions) + Baum–Welch (EM) with scaling,
+// plus Viterbi decoding and training, as an ES module. No DOM access: shared
+// by the page (script.js), the training worker (worker.js) and the command
+// line (cli.js).
+
+// ---------- Utilities ----------
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return function() {
+    t += 0x6D2B79F5;
+    let x = Math.imul(t ^ (t >>> 15), 1 | t);
+    x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function clampMin(x, eps) { return x < eps ? eps : x; }
+
+// `mask`, if given, marks allowed entries; the rest are held at exactly 0.
+export function normalizeVec(v, eps=1e-12, mask=null) {
+  let sum = 0;
+  for (let i=0;i<v.length;i++) {
+    v[i] = mask && !mask[i] ? 0 : clampMin(v[i], eps);
+    sum += v[i];
+  }
+  for (let i=0;i<v.length;i++) v[i] /= sum;
+  return v;
+}
+
+export function normalizeRows(mat, eps=1e-12, mask=null) {
+  for (let i=0;i<mat.length;i++) normalizeVec(mat[i], eps, mask && mask[i]);
+  return mat;
+}
+
+// Copy of a stochastic row with entry j set to `value` and the other allowed
+// entries rescaled (or, if they are all 0, shared equally) to keep the sum at 1.
+export function setRowEntry(row, j, value, mask=null) {
+  if (!(value >= 0 && value <= 1)) throw new Error("a probability must be between 0 and 1");
+  if (mask && !mask[j] && value > 0) throw new Error("that entry is a structural zero");
+  const others = [];
+  for (let k=0;k<row.length;k++) if (k !== j && (!mask || mask[k])) others.push(k);
+  if (others.length === 0 && value !== 1) throw new Error("the only allowed entry of a row must stay 1");
+  const out = row.map((x, k) => mask && !mask[k] ? 0 : x);
+  out[j] = value;
+  const rest = others.reduce((s, k) => s + row[k], 0);
+  for (const k of others) out[k] = rest > 0 ? row[k] * (1 - value) / rest : (1 - value) / others.length;
+  return out;
+}
+
+export function zeros2(r,c) {
+  const a = new Array(r);
+  for (let i=0;i<r;i++) a[i] = new Array(c).fill(0);
+  return a;
+}
+function zeros3(t,r,c) {
+  const a = new Array(t);
+  for (let k=0;k<t;k++) a[k] = zeros2(r,c);
+  return a;
+}
+
+// Accept either one integer sequence or an array of them.
+export function asSequences(O) {
+  return Array.isArray(O[0]) ? O : [O];
+}
+
+export function argmax(arr) {
+  let bestI = 0, bestV = arr[0];
+  for (let i=1;i<arr.length;i++) { if (arr[i] > bestV) { bestV = arr[i]; bestI = i; } }
+  return bestI;
+}
+
+// ---------- HMM Model ----------
+// Shared forward/backward, Baum–Welch and Viterbi machinery. Subclasses only
+// define the emission model through emissionMatrix() and the emission
+// statistics hooks used by the M-step.
+export class HMM {
+  constructor(N, seed=0, initMode="random") {
+    this.N = N;
+    this.rng = mulberry32(seed);
+    this.prior = null;
+    this.constraints = null;
+
+    if (initMode === "uniform") {
+      this.pi = new Array(N).fill(1/N);
+      this.A = zeros2(N,N).map(row => row.map(_ => 1/N));
+    } else {
+      this.pi = normalizeVec(new Array(N).fill(0).map(_ => this.rng()));
+      this.A = normalizeRows(zeros2(N,N).map(row => row.map(_ => this.rng())));
+    }
+  }
+
+  // E[t][i] = P(O[t] | state i)
+  emissionMatrix(O) {
+    return O.map(o => { const row = new Array(this.N); for (let i=0;i<this.N;i++) row[i] = this.emissionProb(i, o); return row; });
+  }
+
+  forwardScaled(O, E=this.emissionMatrix(O)) {
+    const T = O.length;
+    const alpha = zeros2(T, this.N);
+    const c = new Array(T).fill(0);
+    let s0 = 0;
+    for (let i=0;i<this.N;i++) { alpha[0][i] = this.pi[i] * E[0][i]; s0 += alpha[0][i]; }
+    if (s0 === 0) s0 = 1e-300;
+    c[0] = s0;
+    for (let i=0;i<this.N;i++) alpha[0][i] /= c[0];
+    for (let t=1;t<T;t++) {
+      let st = 0;
+      for (let j=0;j<this.N;j++) {
+        let sum = 0;
+        for (let i=0;i<this.N;i++) sum += alpha[t-1][i] * this.A[i][j];
+        alpha[t][j] = sum * E[t][j];
+        st += alpha[t][j];
+      }
+      if (st === 0) st = 1e-300;
+      c[t] = st;
+      for (let j=0;j<this.N;j++) alpha[t][j] /= c[t];
+    }
+    let loglik = 0;
+    for (let t=0;t<T;t++) loglik += Math.log(c[t]);
+    return {alpha, c, loglik};
+  }
+
+  backwardScaled(O, c, E=this.emissionMatrix(O)) {
+    const T = O.length;
+    const beta = zeros2(T, this.N);
+    for (let i=0;i<this.N;i++) beta[T-1][i] = 1;
+    for (let t=T-2;t>=0;t--) {
+      for (let i=0;i<this.N;i++) {
+        let sum = 0;
+        for (let j=0;j<this.N;j++) sum += this.A[i][j] * E[t+1][j] * beta[t+1][j];
+        beta[t][i] = sum / c[t+1];
+      }
+    }
+    return beta;
+  }
+
+  // E-step for one sequence: state posteriors (gamma) and transition posteriors
+  // (xi), along with the scaled lattices they came from.
+  eStep(O, eps=1e-12) {
+    const T = O.length;
+    const E = this.emissionMatrix(O);
+    const {alpha, c, loglik} = this.forwardScaled(O, E);
+    const beta = this.backwardScaled(O, c, E);
+
+    const gamma = stateGamma(alpha, beta, eps);
+
+    const xi = zeros3(Math.max(T-1, 0), this.N, this.N);
+    for (let t=0;t<T-1;t++) {
+      let denom = 0;
+      for (let i=0;i<this.N;i++) {
+        for (let j=0;j<this.N;j++) {
+          const val = alpha[t][i] * this.A[i][j] * E[t+1][j] * beta[t+1][j];
+          xi[t][i][j] = val;
+          denom += val;
+        }
+      }
+      denom = clampMin(denom, eps);
+      for (let i=0;i<this.N;i++) for (let j=0;j<this.N;j++) xi[t][i][j] /= denom;
+    }
+
+    return {gamma, xi, loglik, alpha, beta, c};
+  }
+
+  // Forward–backward state posteriors gamma[t][i] = P(q_t = i | O).
+  posteriors(O, eps=1e-12) {
+    const E = this.emissionMatrix(O);
+    const {alpha, c} = this.forwardScaled(O, E);
+    return stateGamma(alpha, this.backwardScaled(O, c, E), eps);
+  }
+
+  // Max-marginal decoding: the individually most likely state at each t.
+  // `fb`, a forwardBackward(O) result, is reused when given.
+  posteriorDecode(O, fb=this.forwardBackward(O)) {
+    const path = new Array(O.length);
+    for (let t=0;t<O.length;t++) path[t] = argmax(latticeGamma(fb, t));
+    return path;
+  }
+
+  // Scaled forward–backward lattices of one sequence on the engine, as flat
+  // Float64Arrays with row t at t*N: alpha, beta, the emissions E, c and A,
+  // plus log P(O). Nothing is T×N×N, so long sequences stay cheap to inspect;
+  // gamma and xi at a step come from latticeGamma and latticeXi.
+  forwardBackward(O) {
+    const ws = new Workspace(this.N, O.length).load(this);
+    const loglik = ws.forward(this, O);
+    return {N: this.N, T: O.length, alpha: ws.alpha, beta: ws.betaLattice(O.length), E: ws.E, c: ws.c, A: ws.A, loglik};
+  }
+
+  // Draws a hidden state path and observations of length T from the model.
+  sample(T, rng=this.rng) {
+    const states = new Array(T), obs = new Array(T);
+    for (let t=0;t<T;t++) {
+      states[t] = sampleCategorical(t === 0 ? this.pi : this.A[states[t-1]], rng);
+      obs[t] = this.sampleEmission(states[t], rng);
+    }
+    return {states, obs};
+  }
+
+  // Deep copy of the current parameters.
+  snapshot() {
+    return {pi: this.pi.slice(), A: this.A.map(row => row.slice()), ...this.emissionSnapshot()};
+  }
+
+  // Same model with the parameters of `snap`, leaving this one untouched.
+  withSnapshot(snap) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, snap);
+  }
+
+  // Structural constraints, applied to the current parameters right away and
+  // kept through every re-estimation. spec: {topology: "ergodic" |
+  // "left-right", maxJump (left-right only: j − i ≤ maxJump), zerosA: [[i, j]],
+  // zerosB: [[i, k]] structural zeros, freeze: {pi, A, B}}. null removes them.
+  setConstraints(spec) {
+    if (!spec) { this.constraints = null; return; }
+    const N = this.N;
+    const {topology="ergodic", maxJump=1, zerosA=[], zerosB=[], freeze={}} = spec;
+    const maskPi = new Array(N).fill(true);
+    const maskA = zeros2(N, N).map(row => row.map(_ => true));
+    if (topology === "left-right") {
+      if (!(Number.isInteger(maxJump) && maxJump >= 0)) throw new Error("max jump must be a non-negative integer");
+      for (let i=0;i<N;i++) {
+        maskPi[i] = i === 0;
+        for (let j=0;j<N;j++) maskA[i][j] = j >= i && j - i <= maxJump;
+      }
+    } else if (topology !== "ergodic") {
+      throw new Error(`unknown topology ${JSON.stringify(topology)}`);
+    }
+    const inRange = (x, n) => Number.isInteger(x) && x >= 0 && x < n;
+    zerosA.forEach(([i, j]) => {
+      if (!inRange(i, N) || !inRange(j, N)) throw new Error(`A zero ${i}>${j} is out of range for N=${N}`);
+      maskA[i][j] = false;
+    });
+    let maskB = null;
+    if (zerosB.length) {
+      if (!(this instanceof DiscreteHMM)) throw new Error("B zeros need discrete emissions");
+      maskB = zeros2(N, this.M).map(row => row.map(_ => true));
+      zerosB.forEach(([i, k]) => {
+        if (!inRange(i, N) || !inRange(k, this.M)) throw new Error(`B zero ${i}:${k} is out of range`);
+        maskB[i][k] = false;
+      });
+    }
+    maskA.forEach((row, i) => { if (!row.some(Boolean)) throw new Error(`row ${i} of A has no allowed transition`); });
+    if (maskB) maskB.forEach((row, i) => { if (!row.some(Boolean)) throw new Error(`state ${i} has no allowed emission`); });
+
+    this.constraints = {
+      topology, maxJump, maskPi, maskA, maskB,
+      zerosA: zerosA.length, zerosB: zerosB.length,
+      freeze: {pi: !!freeze.pi, A: !!freeze.A, B: !!freeze.B},
+    };
+    this.pi = normalizeVec(this.pi, 1e-12, maskPi);
+    this.A = normalizeRows(this.A, 1e-12, maskA);
+    if (maskB) this.B = normalizeRows(this.B, 1e-12, maskB);
+  }
+
+  // Dirichlet priors as pseudocounts (α − 1) that the M-step adds to the
+  // expected counts, turning Baum–Welch into MAP estimation. spec: {alphaPi,
+  // alphaA, alphaB} symmetric concentrations (≥ 1), `sticky` extra mass on
+  // A's diagonal, and optional per-entry `pseudocounts` {pi, A, B} added on
+  // top. B priors apply to discrete emissions only. null removes the prior.
+  setPrior(spec) {
+    if (!spec) { this.prior = null; return; }
+    const {alphaPi=1, alphaA=1, alphaB=1, sticky=0, pseudocounts={}} = spec;
+    [["alphaPi", alphaPi], ["alphaA", alphaA], ["alphaB", alphaB]].forEach(([name, a]) => {
+      if (!(a >= 1)) throw new Error(`${name} must be a number ≥ 1`);
+    });
+    if (!(sticky >= 0)) throw new Error("sticky must be a number ≥ 0");
+    const M = this.M || 0;
+    const prior = {
+      pi: new Array(this.N).fill(alphaPi - 1),
+      A: zeros2(this.N, this.N).map((row, i) => row.map((_, j) => alphaA - 1 + (i === j ? sticky : 0))),
+      B: this instanceof DiscreteHMM ? zeros2(this.N, M).map(row => row.fill(alphaB - 1)) : null,
+    };
+    const add = (target, extra, name) => {
+      if (extra === undefined) return;
+      const flatT = [target].flat(2), flatE = [extra].flat(2);
+      if (!Array.isArray(extra) || flatE.length !== flatT.length || extra.length !== target.length)
+        throw new Error(`pseudocounts.${name} must match the shape of ${name}`);
+      if (flatE.some(x => typeof x !== "number" || !(x >= 0)))
+        throw new Error(`pseudocounts.${name} must be non-negative numbers`);
+      target.forEach((row, i) => {
+        if (Array.isArray(row)) row.forEach((_, j) => { row[j] += extra[i][j]; });
+        else target[i] += extra[i];
+      });
+    };
+    add(prior.pi, pseudocounts.pi, "pi");
+    add(prior.A, pseudocounts.A, "A");
+    if (prior.B) add(prior.B, pseudocounts.B, "B");
+    else if (pseudocounts.B !== undefined) throw new Error("pseudocounts.B needs discrete emissions");
+    this.prior = prior;
+  }
+
+  // Log Dirichlet density of the current parameters, up to a constant.
+  logPrior() {
+    const p = this.prior;
+    if (!p) return 0;
+    const term = (c, x) => c > 0 && x > 0 ? c * Math.log(x) : 0;   // structural zeros carry no prior mass
+    let lp = 0;
+    for (let i=0;i<this.N;i++) {
+      lp += term(p.pi[i], this.pi[i]);
+      for (let j=0;j<this.N;j++) lp += term(p.A[i][j], this.A[i][j]);
+      if (p.B) for (let k=0;k<this.M;k++) lp += term(p.B[i][k], this.B[i][k]);
+    }
+    return lp;
+  }
+
+  // O may be a single sequence or an array of independent sequences;
+  // expected counts are pooled across sequences and loglik is their sum.
+  // loglikHist records the EM objective: the log-likelihood, or with a prior
+  // the log-posterior (up to a constant). snapshots[k] holds the parameters
+  // that produced loglikHist[k]; the last entry is the final model.
+  // onIter(it, loglik, snapshot), if given, is called once per iteration for
+  // progress reporting. Runs on the typed-array engine (see Workspace).
+  baumWelch(O, maxIter=30, tol=1e-4, eps=1e-12, onIter=null) {
+    const seqs = asSequences(O);
+    const ws = new Workspace(this.N, seqs.reduce((m, seq) => Math.max(m, seq.length), 0));
+    const loglikHist = [];
+    const snapshots = [];
+    let prev = null;
+
+    for (let it=0; it<maxIter; it++) {
+      snapshots.push(this.snapshot());
+      const emitStats = this.newEmissionStats();
+      ws.load(this);
+      let loglik = 0;
+      for (const seq of seqs) {
+        loglik += ws.forward(this, seq);
+        ws.backward(this, seq, emitStats, eps);
+      }
+      if (this.prior) loglik += this.logPrior();
+      loglikHist.push(loglik);
+      if (onIter) onIter(it, loglik, snapshots[it]);
+
+      this.mStep({...ws.counts(), emitStats}, seqs.length, eps);
+
+      if (prev !== null && Math.abs(loglik - prev) < tol) break;
+      prev = loglik;
+    }
+    snapshots.push(this.snapshot());
+
+    return {loglikHist, snapshots};
+  }
+
+  // The original Baum–Welch on nested arrays through eStep, which stores the
+  // full lattices and the (T−1)×N×N xi tensor. Same contract as baumWelch;
+  // kept as the reference the engine is tested and benchmarked against.
+  baumWelchReference(O, maxIter=30, tol=1e-4, eps=1e-12, onIter=null) {
+    const seqs = asSequences(O);
+    const loglikHist = [];
+    const snapshots = [];
+    let prev = null;
+
+    for (let it=0; it<maxIter; it++) {
+      snapshots.push(this.snapshot());
+      const piNum = new Array(this.N).fill(0);
+      const ANum = zeros2(this.N, this.N);
+      const denomA = new Array(this.N).fill(0);
+      const emitStats = this.newEmissionStats();
+      let loglik = 0;
+
+      for (const seq of seqs) {
+        const T = seq.length;
+        const {gamma, xi, loglik: ll} = this.eStep(seq, eps);
+        loglik += ll;
+
+        for (let i=0;i<this.N;i++) piNum[i] += gamma[0][i];
+        for (let t=0;t<T-1;t++)
+          for (let i=0;i<this.N;i++) {
+            denomA[i] += gamma[t][i];
+            for (let j=0;j<this.N;j++) ANum[i][j] += xi[t][i][j];
+          }
+        this.accumulateEmissions(emitStats, seq, gamma);
+      }
+      if (this.prior) loglik += this.logPrior();
+      loglikHist.push(loglik);
+      if (onIter) onIter(it, loglik, snapshots[it]);
+
+      this.mStep({piNum, ANum, denomA, emitStats}, seqs.length, eps);
+
+      if (prev !== null && Math.abs(loglik - prev) < tol) break;
+      prev = loglik;
+    }
+    snapshots.push(this.snapshot());
+
+    return {loglikHist, snapshots};
+  }
+
+  // Hard EM (Viterbi training): like baumWelch, but each iteration counts
+  // starts, transitions and emissions along the Viterbi paths instead of
+  // taking posterior expectations. loglikHist records the same objective as
+  // baumWelch so the two rules can share a chart, but here it need not
+  // increase; what does is scoreHist, the best-path log P(O, path) (plus the
+  // log-prior). Stops once no path changes or the score gains less than tol.
+  // onIter also gets the iteration's score: onIter(it, loglik, snapshot, score).
+  viterbiTraining(O, maxIter=30, tol=1e-4, eps=1e-12, onIter=null) {
+    const seqs = asSequences(O);
+    const ws = new Workspace(this.N, seqs.reduce((m, seq) => Math.max(m, seq.length), 0));
+    const loglikHist = [];
+    const scoreHist = [];
+    const snapshots = [];
+    let prevPaths = null;
+
+    for (let it=0; it<maxIter; it++) {
+      snapshots.push(this.snapshot());
+      ws.load(this);
+      let loglik = 0, score = 0;
+      const paths = seqs.map(seq => {
+        const best = ws.viterbi(this, seq);
+        loglik += ws.forward(this, seq);
+        score += best.score;
+        return best.path;
+      });
+      if (this.prior) { const lp = this.logPrior(); loglik += lp; score += lp; }
+      loglikHist.push(loglik);
+      scoreHist.push(score);
+      if (onIter) onIter(it, loglik, snapshots[it], score);
+
+      this.mStep(this.pathCounts(seqs, paths), seqs.length, eps);
+
+      const same = prevPaths && paths.every((path, s) => path.every((q, t) => q === prevPaths[s][t]));
+      if (same || (it > 0 && score - scoreHist[it - 1] < tol)) break;
+      prevPaths = paths;
+    }
+    snapshots.push(this.snapshot());
+
+    return {loglikHist, scoreHist, snapshots};
+  }
+
+  // Counts of starts, transitions and emissions along given state paths, in
+  // the form of the expected counts the M-step takes.
+  pathCounts(seqs, paths) {
+    const piNum = new Array(this.N).fill(0);
+    const ANum = zeros2(this.N, this.N);
+    const denomA = new Array(this.N).fill(0);
+    const emitStats = this.newEmissionStats();
+    seqs.forEach((seq, s) => {
+      const q = paths[s];
+      piNum[q[0]] += 1;
+      for (let t=0;t<q.length-1;t++) { denomA[q[t]] += 1; ANum[q[t]][q[t+1]] += 1; }
+      this.accumulateEmissions(emitStats, seq, q.map(i => { const row = new Array(this.N).fill(0); row[i] = 1; return row; }));
+    });
+    return {piNum, ANum, denomA, emitStats};
+  }
+
+  // M-step shared by both learning rules: re-estimates from (expected) counts
+  // over nSeqs sequences, adding the prior's pseudocounts and keeping
+  // constraints and frozen parts.
+  mStep({piNum, ANum, denomA, emitStats}, nSeqs, eps=1e-12) {
+    const prior = this.prior;
+    if (prior) {
+      for (let i=0;i<this.N;i++) {
+        piNum[i] += prior.pi[i];
+        for (let j=0;j<this.N;j++) { ANum[i][j] += prior.A[i][j]; denomA[i] += prior.A[i][j]; }
+      }
+    }
+    const piNew = prior ? piNum : piNum.map(v => v / nSeqs);
+
+    const ANew = zeros2(this.N, this.N);
+    for (let i=0;i<this.N;i++) {
+      const d = clampMin(denomA[i], eps);
+      for (let j=0;j<this.N;j++) ANew[i][j] = ANum[i][j] / d;
+    }
+
+    const cons = this.constraints;
+    if (!(cons && cons.freeze.pi)) this.pi = normalizeVec(piNew, eps, cons && cons.maskPi);
+    if (!(cons && cons.freeze.A)) this.A = normalizeRows(ANew, eps, cons && cons.maskA);
+    if (!(cons && cons.freeze.B)) this.updateEmissions(emitStats, eps);
+  }
+
+  viterbi(O) {
+    return new Workspace(this.N, O.length).load(this).viterbi(this, O).path;
+  }
+
+  // log P(O) by the forward pass alone, without keeping the lattice.
+  logLikelihood(O) {
+    return new Workspace(this.N, O.length).load(this).forward(this, O);
+  }
+
+  // Full Viterbi dynamic program in log space: dp[t][j] is the best score of
+  // any path ending in state j at t, back[t][j] its predecessor. The log
+  // parameters are returned too so each cell's max can be re-derived.
+  viterbiTrellis(O) {
+    const T = O.length;
+    const E = this.emissionMatrix(O);
+    const logA = zeros2(this.N, this.N);
+    const logpi = new Array(this.N).fill(0);
+    for (let i=0;i<this.N;i++) logpi[i] = Math.log(clampMin(this.pi[i], 1e-300));
+    for (let i=0;i<this.N;i++)
+      for (let j=0;j<this.N;j++) logA[i][j] = Math.log(clampMin(this.A[i][j], 1e-300));
+    const logB = E.map(row => row.map(p => Math.log(clampMin(p, 1e-300))));
+    const dp = zeros2(T, this.N);
+    const back = zeros2(T, this.N);
+    for (let i=0;i<this.N;i++) { dp[0][i] = logpi[i] + logB[0][i]; back[0][i] = 0; }
+    for (let t=1;t<T;t++) {
+      for (let j=0;j<this.N;j++) {
+        let bestScore = -Infinity, bestPrev = 0;
+        for (let i=0;i<this.N;i++) {
+          const score = dp[t-1][i] + logA[i][j];
+          if (score > bestScore) { bestScore = score; bestPrev = i; }
+        }
+        back[t][j] = bestPrev;
+        dp[t][j] = bestScore + logB[t][j];
+      }
+    }
+    const path = new Array(T).fill(0);
+    path[T-1] = argmax(dp[T-1]);
+    for (let t=T-2;t>=0;t--) path[t] = back[t+1][path[t+1]];
+    return {logpi, logA, logB, dp, back, path};
+  }
+
+  // The Viterbi trellis of rows t0…t1−1 only, laid out as in viterbiTrellis
+  // but indexed from t0 (dp[t − t0]), with the path and its log score over
+  // the whole sequence. Runs on the engine, so T can be large.
+  viterbiWindow(O, t0=0, t1=O.length) {
+    const N = this.N;
+    const ws = new Workspace(N, O.length).load(this);
+    const keep = {t0, t1, dp: []};
+    const {path, score, back} = ws.viterbi(this, O, keep);
+    const rows = (flat, f) => keep.dp.map((_, k) => Array.from(flat.subarray((t0 + k) * N, (t0 + k + 1) * N), f));
+    return {
+      t0, path, score, dp: keep.dp,
+      back: rows(back, x => x),
+      logB: rows(ws.E, p => Math.log(clampMin(p, 1e-300))),
+      logpi: this.pi.map(p => Math.log(clampMin(p, 1e-300))),
+      logA: this.A.map(row => row.map(p => Math.log(clampMin(p, 1e-300)))),
+    };
+  }
+}
+
+// Code for a symbol outside the training vocabulary. Its emission probability
+// is 1 in every state, i.e. the observation is marginalized out.
+export const UNKNOWN_SYMBOL = -1;
+
+// Categorical emissions over M integer-coded symbols.
+export class DiscreteHMM extends HMM {
+  constructor(N, M, seed=0, initMode="random") {
+    super(N, seed, initMode);
+    this.M = M;
+
+    if (initMode === "uniform") {
+      this.B = zeros2(N,M).map(row => row.map(_ => 1/M));
+    } else {
+      this.B = normalizeRows(zeros2(N,M).map(row => row.map(_ => this.rng())));
+    }
+  }
+
+  emissionProb(i, o) { return o === UNKNOWN_SYMBOL ? 1 : this.B[i][o]; }
+
+  emissionSnapshot() { return {B: this.B.map(row => row.slice())}; }
+
+  sampleEmission(i, rng) { return sampleCategorical(this.B[i], rng); }
+
+  // Number of symbols in O that the model actually scores.
+  knownCount(O) { return O.reduce((n, o) => n + (o === UNKNOWN_SYMBOL ? 0 : 1), 0); }
+
+  newEmissionStats() {
+    return {num: zeros2(this.N, this.M), denom: new Array(this.N).fill(0)};
+  }
+
+  accumulateEmissions(stats, O, gamma) {
+    for (let t=0;t<O.length;t++) {
+      if (O[t] === UNKNOWN_SYMBOL) continue;
+      for (let i=0;i<this.N;i++) {
+        stats.denom[i] += gamma[t][i];
+        stats.num[i][O[t]] += gamma[t][i];
+      }
+    }
+  }
+
+  // Flat counterparts for the typed-array engine: E[t*N + i] and gamma laid
+  // out the same way.
+  emissionsInto(O, E) {
+    const N = this.N;
+    for (let t=0;t<O.length;t++) {
+      const o = O[t];
+      for (let i=0;i<N;i++) E[t*N + i] = o === UNKNOWN_SYMBOL ? 1 : this.B[i][o];
+    }
+  }
+
+  accumulateEmissionsFlat(stats, O, gamma) {
+    const N = this.N;
+    for (let t=0;t<O.length;t++) {
+      const o = O[t];
+      if (o === UNKNOWN_SYMBOL) continue;
+      for (let i=0;i<N;i++) {
+        const g = gamma[t*N + i];
+        stats.denom[i] += g;
+        stats.num[i][o] += g;
+      }
+    }
+  }
+
+  updateEmissions(stats, eps=1e-12) {
+    const BNew = zeros2(this.N, this.M);
+    const pB = this.prior && this.prior.B;
+    for (let i=0;i<this.N;i++) {
+      let d = stats.denom[i];
+      if (pB) for (let k=0;k<this.M;k++) { stats.num[i][k] += pB[i][k]; d += pB[i][k]; }
+      d = clampMin(d, eps);
+      for (let k=0;k<this.M;k++) BNew[i][k] = stats.num[i][k] / d;
+    }
+    this.B = normalizeRows(BNew, eps, this.constraints && this.constraints.maskB);
+  }
+
+  // ---------- Online EM ----------
+  // Learns from a stream one symbol at a time (Cappé 2011): for every state m
+  // it keeps the running expected transition and emission counts given that
+  // the chain is now in m, carries them forward through the filter's
+  // backward kernel as each symbol arrives, and re-estimates A and B from
+  // them, so no symbol is ever revisited. Costs O(N⁴ + N³M) per symbol.
+  // π only scores the first symbol of a stream and is left as is; priors are
+  // not used.
+  startOnline(options={}) {
+    const N = this.N;
+    // rhoA[i][j][m], rhoB[i][k][m]; started from the current parameters.
+    this.online = {t: 0, alpha: null, loglik: 0,
+                   rhoA: this.A.map(row => row.map(p => new Array(N).fill(p / N))),
+                   rhoB: this.B.map(row => row.map(p => new Array(N).fill(p / N)))};
+    this.setStepSize(options);
+  }
+
+  // Step size for symbol t (1-based): (t + t0)^−kappa with schedule "decay"
+  // (0.5 < kappa ≤ 1, converges on a stationary stream), or 1 − lambda with
+  // schedule "forget" (forgetting factor; keeps tracking a drifting stream).
+  // Parameters stay fixed for the first `burnIn` symbols.
+  setStepSize({schedule="decay", kappa=0.6, t0=2, lambda=0.98, burnIn=20}={}) {
+    if (schedule !== "decay" && schedule !== "forget") throw new Error(`unknown step-size schedule "${schedule}"`);
+    if (schedule === "decay" && !(kappa > 0.5 && kappa <= 1)) throw new Error("kappa must be in (0.5, 1]");
+    if (schedule === "decay" && !(t0 >= 0)) throw new Error("t0 must be a number ≥ 0");
+    if (schedule === "forget" && !(lambda > 0 && lambda < 1)) throw new Error("lambda must be in (0, 1)");
+    if (!(Number.isInteger(burnIn) && burnIn >= 0)) throw new Error("burnIn must be an integer ≥ 0");
+    Object.assign(this.online, {schedule, kappa, t0, lambda, burnIn});
+  }
+
+  stepSize(t) {
+    const {schedule, kappa, t0, lambda} = this.online;
+    return schedule === "forget" ? 1 - lambda : Math.pow(t + t0, -kappa);
+  }
+
+  // Appends symbol M to the vocabulary. Each state gives it a random share
+  // of about 1/M (scaling its other emissions down), so states can diverge.
+  // A model may start with M = 0 and learn its whole vocabulary this way.
+  addSymbol() {
+    const M = ++this.M, N = this.N;
+    const shares = Array.from({length: N}, () => M === 1 ? 1 : Math.min(0.9, (0.5 + this.rng()) / M));
+    this.B.forEach((row, i) => {
+      for (let k=0;k<row.length;k++) row[k] *= 1 - shares[i];
+      row.push(shares[i]);
+    });
+    if (this.online) this.online.rhoB.forEach(row => row.push(new Array(N).fill(0)));
+    if (this.constraints && this.constraints.maskB) this.constraints.maskB.forEach(row => row.push(true));
+    if (this.prior && this.prior.B) this.prior.B.forEach(row => row.push(0));
+  }
+
+  // Feeds symbol o (an index; o === M adds a new symbol) and updates the
+  // parameters. Returns the filtered P(state | symbols so far) and the
+  // running log-likelihood Σ log P(o_t | o_<t) of the stream.
+  observe(o) {
+    if (!this.online) this.startOnline();
+    if (o === this.M) this.addSymbol();
+    else if (!(Number.isInteger(o) && o >= 0 && o < this.M)) throw new Error(`symbol ${o} is out of range for M=${this.M}`);
+    const on = this.online, N = this.N, M = this.M, prev = on.alpha;
+    on.t++;
+    const g = this.stepSize(on.t);
+
+    // Filter, and the backward kernel r[l][m] = P(s_{t−1}=l | s_t=m, o_<t)
+    const alpha = new Array(N);
+    const r = zeros2(N, N);
+    for (let m=0;m<N;m++) {
+      let p = 0;
+      if (prev) {
+        for (let l=0;l<N;l++) { r[l][m] = prev[l] * this.A[l][m]; p += r[l][m]; }
+        for (let l=0;l<N;l++) r[l][m] = p > 0 ? r[l][m] / p : 1 / N;
+      } else {
+        p = this.pi[m];
+      }
+      alpha[m] = p * this.B[m][o];
+    }
+    let c = alpha.reduce((a,b)=>a+b,0);
+    if (c === 0) c = 1e-300;
+    for (let m=0;m<N;m++) alpha[m] /= c;
+    on.loglik += Math.log(c);
+
+    // rho(m) ← Σ_l [(1 − g)·rho(l) + g·s(l, m, o)]·r[l][m], where the
+    // statistic s counts the transition l→m and the emission of o by m.
+    const carry = v => {
+      if (!prev) return v.map(x => (1 - g) * x);
+      const out = new Array(N).fill(0);
+      for (let m=0;m<N;m++) for (let l=0;l<N;l++) out[m] += v[l] * r[l][m];
+      return out.map(x => (1 - g) * x);
+    };
+    for (let i=0;i<N;i++) {
+      for (let j=0;j<N;j++) {
+        const v = carry(on.rhoA[i][j]);
+        if (prev) v[j] += g * r[i][j];
+        on.rhoA[i][j] = v;
+      }
+      for (let k=0;k<M;k++) {
+        const v = carry(on.rhoB[i][k]);
+        if (k === o) v[i] += g;
+        on.rhoB[i][k] = v;
+      }
+    }
+    on.alpha = alpha;
+
+    // M-step on the expected counts Σ_m rho(m)·P(s_t=m | o_≤t)
+    if (on.t > on.burnIn) {
+      const cons = this.constraints, freeze = cons ? cons.freeze : {};
+      const expect = rho => rho.map(row => row.map(v => v.reduce((s, x, m) => s + x * alpha[m], 0)));
+      if (!freeze.A) this.A = normalizeRows(expect(on.rhoA), 1e-12, cons && cons.maskA);
+      if (!freeze.B) this.B = normalizeRows(expect(on.rhoB), 1e-12, cons && cons.maskB);
+    }
+    return {filtered: alpha.slice(), loglik: on.loglik};
+  }
+}
+
+// One univariate Gaussian per state. `data` (the training values) sets the
+// initial means and the variance floor, so a state can't collapse onto a point.
+export class GaussianHMM extends HMM {
+  constructor(N, seed=0, initMode="random", data=[]) {
+    super(N, seed, initMode);
+    const values = asSequences(data).flat();
+    // reduce, not spread: long data exceeds the call's argument limit
+    const lo = values.length ? values.reduce((m, x) => Math.min(m, x), Infinity) : 0;
+    const hi = values.length ? values.reduce((m, x) => Math.max(m, x), -Infinity) : 1;
+    const mean = values.length ? values.reduce((a,b)=>a+b,0) / values.length : 0;
+    const variance = values.length ? values.reduce((a,x)=>a+(x-mean)*(x-mean),0) / values.length : 1;
+    this.minVar = Math.max(1e-6, 1e-3 * variance);
+
+    if (initMode === "uniform") {
+      this.means = new Array(N).fill(mean);
+    } else {
+      this.means = new Array(N).fill(0).map(_ => lo + this.rng() * (hi - lo));
+    }
+    this.vars = new Array(N).fill(Math.max(variance, this.minVar));
+  }
+
+  emissionProb(i, x) { return gaussianPdf(x, this.means[i], this.vars[i]); }
+
+  emissionSnapshot() { return {means: this.means.slice(), vars: this.vars.slice()}; }
+
+  sampleEmission(i, rng) { return this.means[i] + Math.sqrt(this.vars[i]) * sampleNormal(rng); }
+
+  newEmissionStats() {
+    return {w: new Array(this.N).fill(0), wx: new Array(this.N).fill(0), wxx: new Array(this.N).fill(0)};
+  }
+
+  accumulateEmissions(stats, O, gamma) {
+    for (let t=0;t<O.length;t++)
+      for (let i=0;i<this.N;i++) {
+        const g = gamma[t][i];
+        stats.w[i] += g;
+        stats.wx[i] += g * O[t];
+        stats.wxx[i] += g * O[t] * O[t];
+      }
+  }
+
+  emissionsInto(O, E) {
+    const N = this.N;
+    for (let t=0;t<O.length;t++)
+      for (let i=0;i<N;i++) E[t*N + i] = gaussianPdf(O[t], this.means[i], this.vars[i]);
+  }
+
+  accumulateEmissionsFlat(stats, O, gamma) {
+    const N = this.N;
+    for (let t=0;t<O.length;t++) {
+      const x = O[t];
+      for (let i=0;i<N;i++) {
+        const g = gamma[t*N + i];
+        stats.w[i] += g;
+        stats.wx[i] += g * x;
+        stats.wxx[i] += g * x * x;
+      }
+    }
+  }
+
+  updateEmissions(stats, eps=1e-12) {
+    for (let i=0;i<this.N;i++) {
+      if (stats.w[i] < eps) continue;   // state never visited: keep its previous density
+      const mu = stats.wx[i] / stats.w[i];
+      this.means[i] = mu;
+      this.vars[i] = Math.max(stats.wxx[i] / stats.w[i] - mu * mu, this.minVar);
+    }
+  }
+}
+
+// ---------- Typed-array engine ----------
+// Scratch space for the forward–backward and Viterbi passes in flat
+// Float64Array buffers (row t of a T×N lattice at t*N), sized for the longest
+// sequence and reused across sequences and iterations. Only the emissions and
+// alpha are T×N: the backward pass keeps two rows of beta, overwrites alpha
+// with gamma as it goes and adds each step's xi straight into the transition
+// counts, so the xi tensor is never stored. Expected counts accumulate over
+// every backward() since the last load().
+class Workspace {
+  constructor(N, T) {
+    this.N = N;
+    this.T = Math.max(T, 1);
+    this.E = new Float64Array(this.T * N);
+    this.alpha = new Float64Array(this.T * N);
+    this.c = new Float64Array(this.T);
+    this.beta = new Float64Array(N);
+    this.betaNext = new Float64Array(N);
+    this.w = new Float64Array(N);
+    this.pi = new Float64Array(N);
+    this.A = new Float64Array(N * N);
+    this.piNum = new Float64Array(N);
+    this.ANum = new Float64Array(N * N);
+    this.denomA = new Float64Array(N);
+  }
+
+  // Copies π and A from `hmm` and clears the counts.
+  load(hmm) {
+    const N = this.N;
+    for (let i=0;i<N;i++) {
+      this.pi[i] = hmm.pi[i];
+      for (let j=0;j<N;j++) this.A[i*N + j] = hmm.A[i][j];
+    }
+    this.piNum.fill(0);
+    this.ANum.fill(0);
+    this.denomA.fill(0);
+    return this;
+  }
+
+  // Scaled forward pass over O; fills E, alpha and c and returns log P(O).
+  forward(hmm, O) {
+    const N = this.N, T = O.length, E = this.E, alpha = this.alpha, A = this.A, c = this.c;
+    if (T === 0) return 0;
+    hmm.emissionsInto(O, E);
+    let loglik = 0;
+    for (let t=0;t<T;t++) {
+      let st = 0;
+      for (let j=0;j<N;j++) {
+        let sum;
+        if (t === 0) sum = this.pi[j];
+        else {
+          sum = 0;
+          for (let i=0;i<N;i++) sum += alpha[(t-1)*N + i] * A[i*N + j];
+        }
+        alpha[t*N + j] = sum * E[t*N + j];
+        st += alpha[t*N + j];
+      }
+      if (st === 0) st = 1e-300;
+      c[t] = st;
+      for (let j=0;j<N;j++) alpha[t*N + j] /= st;
+      loglik += Math.log(st);
+    }
+    return loglik;
+  }
+
+  // Backward pass after forward(hmm, O): adds the expected start, transition
+  // and emission counts of O (the emissions into `emitStats`).
+  backward(hmm, O, emitStats, eps=1e-12) {
+    const N = this.N, T = O.length, E = this.E, alpha = this.alpha, A = this.A;
+    if (T === 0) return;
+    let beta = this.beta, next = this.betaNext;
+    const w = this.w;
+    next.fill(1);
+    this.toGamma(T - 1, next, eps);
+    for (let t=T-2;t>=0;t--) {
+      // beta_t(i) = Σ_j A_ij E_{t+1}(j) beta_{t+1}(j) / c_{t+1}, and
+      // xi_t(i, j) ∝ alpha_t(i) A_ij E_{t+1}(j) beta_{t+1}(j)
+      for (let j=0;j<N;j++) w[j] = E[(t+1)*N + j] * next[j];
+      let denom = 0;
+      for (let i=0;i<N;i++) {
+        let sum = 0;
+        for (let j=0;j<N;j++) sum += A[i*N + j] * w[j];
+        beta[i] = sum / this.c[t+1];
+        denom += alpha[t*N + i] * sum;
+      }
+      denom = clampMin(denom, eps);
+      for (let i=0;i<N;i++) {
+        const a = alpha[t*N + i] / denom;
+        for (let j=0;j<N;j++) this.ANum[i*N + j] += a * A[i*N + j] * w[j];
+      }
+      this.toGamma(t, beta, eps);
+      for (let i=0;i<N;i++) this.denomA[i] += alpha[t*N + i];
+      [beta, next] = [next, beta];
+    }
+    for (let i=0;i<N;i++) this.piNum[i] += alpha[i];
+    hmm.accumulateEmissionsFlat(emitStats, O, alpha);
+  }
+
+  // Full scaled beta lattice after forward(hmm, O) on T steps, for
+  // inspection; backward() keeps only two rows.
+  betaLattice(T) {
+    const N = this.N, E = this.E, A = this.A, beta = new Float64Array(Math.max(T, 1) * N);
+    if (T === 0) return beta;
+    beta.fill(1, (T-1)*N);
+    for (let t=T-2;t>=0;t--) {
+      for (let i=0;i<N;i++) {
+        let sum = 0;
+        for (let j=0;j<N;j++) sum += A[i*N + j] * E[(t+1)*N + j] * beta[(t+1)*N + j];
+        beta[t*N + i] = sum / this.c[t+1];
+      }
+    }
+    return beta;
+  }
+
+  // Replaces row t of alpha by gamma_t ∝ alpha_t · beta_t.
+  toGamma(t, beta, eps) {
+    const N = this.N, row = t * N;
+    let sum = 0;
+    for (let i=0;i<N;i++) { this.alpha[row + i] *= beta[i]; sum += this.alpha[row + i]; }
+    sum = clampMin(sum, eps);
+    for (let i=0;i<N;i++) this.alpha[row + i] /= sum;
+  }
+
+  // The counts as the nested arrays HMM.mStep takes.
+  counts() {
+    const N = this.N;
+    return {
+      piNum: Array.from(this.piNum),
+      ANum: Array.from({length: N}, (_, i) => Array.from(this.ANum.subarray(i*N, (i+1)*N))),
+      denomA: Array.from(this.denomA),
+    };
+  }
+
+  // Log-space Viterbi with two rows of scores and flat backpointers; same
+  // arithmetic and tie-breaking as HMM.viterbiTrellis. Returns the path, its
+  // log P(O, path) and the backpointers; `keep` ({t0, t1, dp: []}) collects
+  // the score rows of t0…t1−1.
+  viterbi(hmm, O, keep=null) {
+    const N = this.N, T = O.length, E = this.E;
+    if (T === 0) return {path: [], score: 0, back: new Int32Array(0)};
+    hmm.emissionsInto(O, E);
+    const logA = new Float64Array(N * N);
+    for (let k=0;k<N*N;k++) logA[k] = Math.log(clampMin(this.A[k], 1e-300));
+    const back = new Int32Array(T * N);
+    let dp = this.beta, nextDp = this.betaNext;
+    for (let i=0;i<N;i++) dp[i] = Math.log(clampMin(this.pi[i], 1e-300)) + Math.log(clampMin(E[i], 1e-300));
+    if (keep && keep.t0 <= 0 && keep.t1 > 0) keep.dp.push(Array.from(dp));
+    for (let t=1;t<T;t++) {
+      for (let j=0;j<N;j++) {
+        let bestScore = -Infinity, bestPrev = 0;
+        for (let i=0;i<N;i++) {
+          const score = dp[i] + logA[i*N + j];
+          if (score > bestScore) { bestScore = score; bestPrev = i; }
+        }
+        back[t*N + j] = bestPrev;
+        nextDp[j] = bestScore + Math.log(clampMin(E[t*N + j], 1e-300));
+      }
+      [dp, nextDp] = [nextDp, dp];
+      if (keep && t >= keep.t0 && t < keep.t1) keep.dp.push(Array.from(dp));
+    }
+    const path = new Array(T).fill(0);
+    path[T-1] = argmax(dp);
+    for (let t=T-2;t>=0;t--) path[t] = back[(t+1)*N + path[t+1]];
+    return {path, score: dp[path[T-1]], back};
+  }
+}
+
+// ---------- Initialization ----------
+// "random" and "uniform" are built by the constructors. Uniform is a fixed
+// point of Baum–Welch: identical states get identical updates and never
+// separate. The others are seeded too:
+//   "dirichlet"  π and every row of A and B drawn from a symmetric
+//                Dirichlet(concentration): < 1 gives peaked rows, large values
+//                nearly uniform ones (Gaussian means stay random).
+//   "frequency"  every state starts from the symbol frequencies in the data,
+//                each tilted at random so the states can separate (Gaussian:
+//                means at evenly spaced quantiles of the data).
+//   "kmeans"     k-means over windows of `window` observations around each
+//                time step (symbol histograms, or window means for Gaussian);
+//                π, A and the emissions are counted from the cluster labels.
+export const INIT_MODES = ["random", "uniform", "dirichlet", "frequency", "kmeans"];
+
+// Replaces the constructor's initialization of `hmm` according to `mode`,
+// drawing from the model's own rng. Throws on bad options.
+export function initializeModel(hmm, seqs, {mode, concentration=1, window=5}) {
+  if (!INIT_MODES.includes(mode)) throw new Error(`unknown initialization "${mode}"`);
+  const N = hmm.N, gaussian = hmm instanceof GaussianHMM;
+  if (mode === "dirichlet") {
+    if (!(concentration > 0)) throw new Error("the Dirichlet concentration must be a number > 0");
+    const draw = n => normalizeVec(Array.from({length: n}, () => sampleGamma(concentration, hmm.rng)));
+    hmm.pi = draw(N);
+    hmm.A = Array.from({length: N}, () => draw(N));
+    if (!gaussian) hmm.B = Array.from({length: N}, () => draw(hmm.M));
+  } else if (mode === "frequency") {
+    if (gaussian) {
+      const sorted = seqs.flat().sort((a, b) => a - b);
+      if (sorted.length) hmm.means = hmm.means.map((_, i) => sorted[Math.floor((i + 0.5) / N * sorted.length)]);
+    } else {
+      const freq = new Array(hmm.M).fill(1);   // add-one, so no symbol starts at 0
+      seqs.forEach(seq => seq.forEach(o => { if (o !== UNKNOWN_SYMBOL) freq[o]++; }));
+      hmm.B = hmm.B.map(() => normalizeVec(freq.map(f => f * (0.5 + hmm.rng()))));
+    }
+  } else if (mode === "kmeans") {
+    if (!(Number.isInteger(window) && window >= 1)) throw new Error("the k-means window must be an integer ≥ 1");
+    const half = Math.floor(window / 2);
+    const features = seqs.map(seq => seq.map((_, t) => {
+      const lo = Math.max(0, t - half), hi = Math.min(seq.length, t + half + 1);
+      if (gaussian) {
+        let sum = 0;
+        for (let u=lo;u<hi;u++) sum += seq[u];
+        return [sum / (hi - lo)];
+      }
+      const hist = new Array(hmm.M).fill(0);
+      for (let u=lo;u<hi;u++) if (seq[u] !== UNKNOWN_SYMBOL) hist[seq[u]] += 1 / (hi - lo);
+      return hist;
+    }));
+    const labels = kMeansLabels(features.flat(), N, hmm.rng);
+    let pos = 0;
+    const paths = seqs.map(seq => labels.slice(pos, pos += seq.length));
+    const {piNum, ANum, emitStats} = hmm.pathCounts(seqs, paths);
+    // Add-one smoothing: an entry that starts at 0 stays 0 under EM.
+    hmm.pi = normalizeVec(piNum.map(v => v + 1));
+    hmm.A = normalizeRows(ANum.map(row => row.map(v => v + 1)));
+    if (!gaussian) {
+      for (let i=0;i<N;i++) {
+        for (let k=0;k<hmm.M;k++) emitStats.num[i][k] += 1;
+        emitStats.denom[i] += hmm.M;
+      }
+    }
+    hmm.updateEmissions(emitStats);
+  }
+}
+
+// Lloyd's k-means with k-means++ seeding; returns the cluster of each point.
+// Empty clusters keep their previous centre.
+function kMeansLabels(points, k, rng, maxIter=50) {
+  const dist = (a, b) => { let d = 0; for (let m=0;m<a.length;m++) d += (a[m] - b[m]) * (a[m] - b[m]); return d; };
+  const labels = new Array(points.length).fill(0);
+  if (points.length === 0) return labels;
+  const centres = [points[Math.floor(rng() * points.length)].slice()];
+  while (centres.length < k) {
+    const d2 = points.map(p => Math.min(...centres.map(c => dist(p, c))));
+    centres.push(points[d2.some(d => d > 0) ? sampleCategorical(d2, rng) : Math.floor(rng() * points.length)].slice());
+  }
+  for (let it=0; it<maxIter; it++) {
+    let changed = it === 0;
+    points.forEach((p, n) => {
+      let best = 0, bestD = Infinity;
+      centres.forEach((c, j) => { const d = dist(p, c); if (d < bestD) { bestD = d; best = j; } });
+      if (labels[n] !== best) { labels[n] = best; changed = true; }
+    });
+    if (!changed) break;
+    const sums = zeros2(k, points[0].length), counts = new Array(k).fill(0);
+    points.forEach((p, n) => { counts[labels[n]]++; p.forEach((x, m) => { sums[labels[n]][m] += x; }); });
+    for (let j=0;j<k;j++) if (counts[j]) centres[j] = sums[j].map(x => x / counts[j]);
+  }
+  return labels;
+}
+
+// Builds the model a training job describes; the same job always yields the
+// same initial parameters. `job.init`, a snapshot, replaces the configured
+// initialization (the page passes a run's first snapshot to rebuild what the
+// worker trained without initializing again).
+export function createModel(job, seqs) {
+  let hmm = job.emission === "gaussian"
+    ? new GaussianHMM(job.N, job.seed, job.initMode, seqs)
+    : new DiscreteHMM(job.N, job.M, job.seed, job.initMode);
+  if (job.initMode !== "random" && job.initMode !== "uniform" && !job.init)
+    initializeModel(hmm, seqs, {mode: job.initMode, concentration: job.initConcentration, window: job.initWindow});
+  if (job.init) hmm = hmm.withSnapshot(structuredClone(job.init));
+  if (job.constraints) hmm.setConstraints(job.constraints);
+  if (job.prior) hmm.setPrior(job.prior);
+  return hmm;
+}
+
+// Learning rules a job can use: "baum-welch" (soft EM) or "viterbi" (hard EM).
+export const LEARNING_RULES = ["baum-welch", "viterbi"];
+
+// Builds and trains the model for `job` with its learning rule. onIter as
+// for that rule's method. Returns the trained hmm with its loglikHist and snapshots.
+export function trainJob(job, seqs, onIter=null) {
+  const hmm = createModel(job, seqs);
+  const train = job.algorithm === "viterbi" ? hmm.viterbiTraining : hmm.baumWelch;
+  return {hmm, ...train.call(hmm, seqs, job.maxIter, job.tol, 1e-12, onIter)};
+}
+
+// Total log-likelihood of one or more sequences under the model.
+export function totalLoglik(hmm, O) {
+  return asSequences(O).reduce((s, seq) => s + hmm.logLikelihood(seq), 0);
+}
+
+// Natural logs of the unscaled lattices for rows t0…t1−1 of a
+// forwardBackward() result: alpha_t(i) = α̂_t(i)·c_0⋯c_t and beta_t(i) =
+// β̂_t(i)·c_{t+1}⋯c_{T−1}. The raw values underflow on long sequences, which
+// is what scaling is for, so they stay in log space.
+export function unscaledLogLattices({N, T, alpha, beta, c}, t0=0, t1=T) {
+  let prefix = 0, total = 0;
+  for (let t=0;t<T;t++) { if (t < t0) prefix += Math.log(c[t]); total += Math.log(c[t]); }
+  const logAlpha = zeros2(t1 - t0, N), logBeta = zeros2(t1 - t0, N);
+  for (let t=t0;t<t1;t++) {
+    prefix += Math.log(c[t]);
+    for (let i=0;i<N;i++) {
+      logAlpha[t - t0][i] = Math.log(alpha[t*N + i]) + prefix;
+      logBeta[t - t0][i] = Math.log(beta[t*N + i]) + total - prefix;
+    }
+  }
+  return {logAlpha, logBeta};
+}
+
+// gamma_t(i) ∝ α̂_t(i) β̂_t(i) from a forwardBackward() result.
+export function latticeGamma({N, alpha, beta}, t, eps=1e-12) {
+  const gamma = new Array(N);
+  let sum = 0;
+  for (let i=0;i<N;i++) { gamma[i] = alpha[t*N + i] * beta[t*N + i]; sum += gamma[i]; }
+  sum = clampMin(sum, eps);
+  for (let i=0;i<N;i++) gamma[i] /= sum;
+  return gamma;
+}
+
+// xi_t(i, j) ∝ α̂_t(i) a_ij b_j(o_{t+1}) β̂_{t+1}(j) from a forwardBackward()
+// result, normalized as in eStep.
+export function latticeXi({N, alpha, beta, E, A}, t, eps=1e-12) {
+  const xi = zeros2(N, N);
+  let denom = 0;
+  for (let i=0;i<N;i++) {
+    for (let j=0;j<N;j++) {
+      xi[i][j] = alpha[t*N + i] * A[i*N + j] * E[(t+1)*N + j] * beta[(t+1)*N + j];
+      denom += xi[i][j];
+    }
+  }
+  denom = clampMin(denom, eps);
+  for (let i=0;i<N;i++) for (let j=0;j<N;j++) xi[i][j] /= denom;
+  return xi;
+}
+
+function stateGamma(alpha, beta, eps=1e-12) {
+  const gamma = zeros2(alpha.length, alpha.length ? alpha[0].length : 0);
+  for (let t=0;t<alpha.length;t++) {
+    let sum = 0;
+    for (let i=0;i<gamma[t].length;i++) { gamma[t][i] = alpha[t][i] * beta[t][i]; sum += gamma[t][i]; }
+    sum = clampMin(sum, eps);
+    for (let i=0;i<gamma[t].length;i++) gamma[t][i] /= sum;
+  }
+  return gamma;
+}
+
+// Index drawn with probability p[k] (p need not be exactly normalized).
+export function sampleCategorical(p, rng) {
+  let u = rng() * p.reduce((a,b)=>a+b,0);
+  for (let k=0;k<p.length;k++) {
+    u -= p[k];
+    if (u < 0) return k;
+  }
+  return p.length - 1;
+}
+
+// Gamma(shape, 1) draw (Marsaglia–Tsang; shapes below 1 boosted by U^(1/shape)).
+export function sampleGamma(shape, rng) {
+  if (shape < 1) return sampleGamma(shape + 1, rng) * Math.pow(Math.max(rng(), 1e-300), 1 / shape);
+  const d = shape - 1/3, c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do { x = sampleNormal(rng); v = 1 + c * x; } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+// Standard normal draw (Box–Muller).
+export function sampleNormal(rng) {
+  const u = Math.max(rng(), 1e-300);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+export function gaussianPdf(x, mu, v) {
+  const d = x - mu;
+  return Math.exp(-0.5 * d * d / v) / Math.sqrt(2 * Math.PI * v);
+}
+
+// ---------- Held-out evaluation ----------
+// Splits work on raw (un-encoded) sequences so each fold can build its own
+// vocabulary from its training part.
+function shuffledIndices(n, rng) {
+  const idx = Array.from({length: n}, (_, i) => i);
+  for (let i=n-1;i>0;i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  return idx;
+}
+
+// One train/test fold. Several sequences are shuffled with `seed` and a
+// `fraction` of them held out; a single sequence is cut in time instead.
+export function holdoutSplit(seqs, fraction, seed=0) {
+  if (!(fraction > 0 && fraction < 1)) throw new Error("test fraction must be between 0 and 1");
+  if (seqs.length === 1) {
+    const T = seqs[0].length, cut = Math.round(T * (1 - fraction));
+    if (cut < 1 || cut >= T) throw new Error(`a sequence of length ${T} is too short to split`);
+    return [{train: [seqs[0].slice(0, cut)], test: [seqs[0].slice(cut)]}];
+  }
+  const order = shuffledIndices(seqs.length, mulberry32(seed));
+  const nTest = Math.min(seqs.length - 1, Math.max(1, Math.round(seqs.length * fraction)));
+  return [{train: order.slice(nTest).map(i => seqs[i]), test: order.slice(0, nTest).map(i => seqs[i])}];
+}
+
+// k folds over whole sequences; every sequence is tested exactly once.
+export function kFoldSplits(seqs, k, seed=0) {
+  if (!(Number.isInteger(k) && k >= 2)) throw new Error("k must be an integer ≥ 2");
+  if (seqs.length < k) throw new Error(`${k}-fold needs at least ${k} sequences (one per line), got ${seqs.length}`);
+  const order = shuffledIndices(seqs.length, mulberry32(seed));
+  return Array.from({length: k}, (_, f) => ({
+    train: order.filter((_, r) => r % k !== f).map(i => seqs[i]),
+    test: order.filter((_, r) => r % k === f).map(i => seqs[i]),
+  }));
+}
+
+// Held-out log-likelihood via logLikelihood. Unknown symbols are
+// marginalized, so they are counted separately and left out of the
+// per-symbol average and the perplexity (which is only defined for discrete
+// emissions). Throws when no symbol is left to average over.
+export function heldOutScore(hmm, O) {
+  let loglik = 0, n = 0, total = 0;
+  for (const seq of asSequences(O)) {
+    loglik += hmm.logLikelihood(seq);
+    n += hmm instanceof DiscreteHMM ? hmm.knownCount(seq) : seq.length;
+    total += seq.length;
+  }
+  if (n === 0) throw new Error(total === 0 ? "the held-out part is empty" : "every held-out symbol is unknown to the trained model");
+  const perSymbol = loglik / n;
+  return {loglik, n, oov: total - n, perSymbol,
+          perplexity: hmm instanceof DiscreteHMM ? Math.exp(-perSymbol) : NaN};
+}
+
+// ---------- Model selection ----------
+// Free parameters: a stochastic vector (π, a row of A or of B) with m allowed
+// entries has m − 1, and a Gaussian state a mean and a variance. Structural
+// zeros, left-right topology and frozen blocks remove theirs.
+export function freeParameterCount(hmm) {
+  const cons = hmm.constraints, freeze = cons ? cons.freeze : {};
+  const free = (mask, n) => Math.max(0, (mask ? mask.filter(Boolean).length : n) - 1);
+  const rows = (masks, n) => {
+    let k = 0;
+    for (let i=0;i<hmm.N;i++) k += free(masks && masks[i], n);
+    return k;
+  };
+  let k = 0;
+  if (!freeze.pi) k += free(cons && cons.maskPi, hmm.N);
+  if (!freeze.A) k += rows(cons && cons.maskA, hmm.N);
+  if (!freeze.B) k += hmm instanceof GaussianHMM ? 2 * hmm.N : rows(cons && cons.maskB, hmm.M);
+  return k;
+}
+
+// AIC and BIC for a fit with log-likelihood `loglik`, `k` free parameters and
+// `n` observations (total symbols across sequences). Lower is better.
+export function informationCriteria(loglik, k, n) {
+  return {aic: 2 * k - 2 * loglik, bic: k * Math.log(n) - 2 * loglik};
+}
+
+// ---------- Parameter recovery ----------
+// Minimum-cost assignment for a square cost matrix (Hungarian algorithm,
+// O(n³)). Returns perm with row i assigned to column perm[i].
+export function hungarian(cost) {
+  const n = cost.length;
+  const u = new Array(n+1).fill(0), v = new Array(n+1).fill(0);
+  const p = new Array(n+1).fill(0), way = new Array(n+1).fill(0);
+  for (let i=1;i<=n;i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n+1).fill(Infinity);
+    const used = new Array(n+1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity, j1 = 0;
+      for (let j=1;j<=n;j++) {
+        if (used[j]) continue;
+        const cur = cost[i0-1][j-1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j=0;j<=n;j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+        else minv[j] -= delta;
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+  const perm = new Array(n);
+  for (let j=1;j<=n;j++) perm[p[j]-1] = j-1;
+  return perm;
+}
+
+// Learned states come out in arbitrary order: match each true state to the
+// learned state with the closest emission row (L1), optimally over all
+// permutations. perm[i] is the learned state standing for true state i.
+export function matchStates(truth, learned) {
+  const cost = truth.B.map(row => learned.B.map(other =>
+    row.reduce((a, p, k) => a + Math.abs(p - other[k]), 0)));
+  return hungarian(cost);
+}
+
+// Copy of `hmm` with states reordered so that new state i is old state perm[i].
+export function permuteStates(hmm, perm) {
+  return hmm.withSnapshot({
+    pi: perm.map(p => hmm.pi[p]),
+    A: perm.map(p => perm.map(q => hmm.A[p][q])),
+    B: perm.map(p => hmm.B[p].slice()),
+  });
+}
+
+export function meanAbsError(a, b) {
+  const x = a.flat(), y = b.flat();
+  return x.reduce((s, v, k) => s + Math.abs(v - y[k]), 0) / x.length;
+}
+
+// How well `learned` recovers `truth` on data sampled from it: per-matrix mean
+// absolute errors after state matching, Viterbi labelling accuracy against
+// the true path, and the log-likelihood of the data under both models.
+export function recoveryReport(truth, learned, obs, states) {
+  const perm = matchStates(truth, learned);
+  const aligned = permuteStates(learned, perm);
+  const toTrue = new Array(perm.length);
+  perm.forEach((p, i) => { toTrue[p] = i; });
+  const accuracy = path => path.reduce((s, q, t) => s + (q === states[t] ? 1 : 0), 0) / states.length;
+  return {
+    perm,
+    aligned,
+    piError: meanAbsError([truth.pi], [aligned.pi]),
+    AError: meanAbsError(truth.A, aligned.A),
+    BError: meanAbsError(truth.B, aligned.B),
+    accuracy: accuracy(learned.viterbi(obs).map(q => toTrue[q])),
+    trueAccuracy: accuracy(truth.viterbi(obs)),
+    loglikTrue: truth.logLikelihood(obs),
+    loglikLearned: learned.logLikelihood(obs),
+  };
+}
+
+// ---------- Model I/O ----------
+export const MODEL_FORMAT = "hmm-baum-welch-visualizer/model";
+export const MODEL_VERSION = 1;
+const STOCHASTIC_TOL = 1e-6;
+
+// Versioned JSON document for a trained model plus the context it came from.
+export function modelToJSON(hmm, {inv=null, settings={}, loglikHist=[], observations=null}={}) {
+  const doc = {
+    format: MODEL_FORMAT,
+    version: MODEL_VERSION,
+    emission: hmm instanceof GaussianHMM ? "gaussian" : "discrete",
+    N: hmm.N,
+    pi: hmm.pi,
+    A: hmm.A,
+  };
+  if (hmm instanceof GaussianHMM) {
+    Object.assign(doc, {means: hmm.means, vars: hmm.vars, minVar: hmm.minVar});
+  } else {
+    Object.assign(doc, {M: hmm.M, vocab: inv, B: hmm.B});
+  }
+  Object.assign(doc, {settings, loglikHist});
+  if (observations) doc.observations = observations;
+  return doc;
+}
+
+// Validates a parsed model document and rebuilds the HMM. Throws an Error
+// naming the first problem found.
+export function modelFromJSON(doc) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw new Error("expected a JSON object");
+  if (doc.format !== MODEL_FORMAT) throw new Error(`unknown format ${JSON.stringify(doc.format)}`);
+  if (doc.version !== MODEL_VERSION) throw new Error(`unsupported version ${JSON.stringify(doc.version)} (expected ${MODEL_VERSION})`);
+
+  const N = doc.N;
+  if (!Number.isInteger(N) || N < 1) throw new Error("N must be a positive integer");
+  checkStochastic([doc.pi], 1, N, "pi");
+  checkStochastic(doc.A, N, N, "A");
+
+  let hmm, inv = null;
+  if (doc.emission === "discrete") {
+    const M = doc.M;
+    if (!Number.isInteger(M) || M < 1) throw new Error("M must be a positive integer");
+    if (!Array.isArray(doc.vocab) || doc.vocab.length !== M || !doc.vocab.every(s => typeof s === "string"))
+      throw new Error(`vocab must be an array of ${M} strings`);
+    if (new Set(doc.vocab).size !== M) throw new Error("vocab contains duplicate symbols");
+    checkStochastic(doc.B, N, M, "B");
+    hmm = new DiscreteHMM(N, M, 0, "uniform");
+    hmm.B = doc.B.map(row => row.slice());
+    inv = doc.vocab.slice();
+  } else if (doc.emission === "gaussian") {
+    checkVector(doc.means, N, "means");
+    checkVector(doc.vars, N, "vars");
+    if (doc.vars.some(v => v <= 0)) throw new Error("vars must be positive");
+    hmm = new GaussianHMM(N, 0, "uniform");
+    hmm.means = doc.means.slice();
+    hmm.vars = doc.vars.slice();
+    if (Number.isFinite(doc.minVar) && doc.minVar > 0) hmm.minVar = doc.minVar;
+  } else {
+    throw new Error(`emission must be "discrete" or "gaussian", got ${JSON.stringify(doc.emission)}`);
+  }
+  hmm.pi = doc.pi.slice();
+  hmm.A = doc.A.map(row => row.slice());
+
+  const loglikHist = doc.loglikHist === undefined ? [] : doc.loglikHist;
+  checkVector(loglikHist, loglikHist.length, "loglikHist");
+  const observations = doc.observations === undefined ? null : doc.observations;
+  if (observations !== null &&
+      !(Array.isArray(observations) && observations.every(seq => Array.isArray(seq) && seq.every(s => typeof s === "string"))))
+    throw new Error("observations must be an array of arrays of strings");
+
+  return {hmm, inv, settings: checkSettings(doc.settings), loglikHist, observations};
+}
+
+// Accepts either a full exported document or a bare parameter object such as
+// {pi, A, B, vocab} or {pi, A, means, vars}, so models can be typed by hand.
+export function modelFromSpec(spec) {
+  if (spec && typeof spec === "object" && !Array.isArray(spec) && spec.format === undefined) {
+    const gaussian = spec.means !== undefined;
+    const N = Array.isArray(spec.pi) ? spec.pi.length : undefined;
+    const vocab = spec.vocab || (Array.isArray(spec.B) && Array.isArray(spec.B[0])
+      ? spec.B[0].map((_, k) => `O${k}`) : undefined);
+    spec = {
+      format: MODEL_FORMAT, version: MODEL_VERSION,
+      emission: gaussian ? "gaussian" : "discrete",
+      N, ...(gaussian ? {} : {M: vocab && vocab.length, vocab}),
+      ...spec,
+    };
+  }
+  return modelFromJSON(spec);
+}
+
+function checkVector(v, n, name) {
+  if (!Array.isArray(v) || v.length !== n) throw new Error(`${name} must be an array of length ${n}`);
+  v.forEach((x, i) => {
+    if (typeof x !== "number" || !Number.isFinite(x)) throw new Error(`${name}[${i}] is not a finite number`);
+  });
+}
+
+// Integer ranges of the page's count inputs, so settings from a file or a
+// shared link can't start an oversized job.
+const SETTINGS_RANGES = {nStates: [1, 10], maxIter: [1, 500], restarts: [1, 50]};
+
+// The settings block is optional and so is each field, but the fields present
+// must have the shapes readSettings() in the page gives them.
+export function checkSettings(s) {
+  if (s === undefined || s === null) return {};
+  const isObject = x => x !== null && typeof x === "object" && !Array.isArray(x);
+  const number = (x, name) => {
+    if (typeof x !== "number" || !Number.isFinite(x)) throw new Error(`${name} must be a finite number`);
+  };
+  const oneOf = (x, options, name) => {
+    if (!options.includes(x)) throw new Error(`${name} must be one of ${options.map(o => JSON.stringify(o)).join(", ")}`);
+  };
+  if (!isObject(s)) throw new Error("settings must be an object");
+  ["nStates", "maxIter", "tol", "seed", "initConcentration", "initWindow", "restarts"]
+    .forEach(k => { if (s[k] !== undefined) number(s[k], `settings.${k}`); });
+  Object.entries(SETTINGS_RANGES).forEach(([k, [lo, hi]]) => {
+    if (s[k] !== undefined && !(Number.isInteger(s[k]) && s[k] >= lo && s[k] <= hi))
+      throw new Error(`settings.${k} must be a whole number from ${lo} to ${hi}`);
+  });
+  if (s.initMode !== undefined) oneOf(s.initMode, INIT_MODES, "settings.initMode");
+  if (s.algorithm !== undefined) oneOf(s.algorithm, [...LEARNING_RULES, "both"], "settings.algorithm");
+  if (s.emission !== undefined) oneOf(s.emission, ["auto", "discrete", "gaussian"], "settings.emission");
+  if (s.tokenizer !== undefined) {
+    if (!isObject(s.tokenizer)) throw new Error("settings.tokenizer must be an object");
+    oneOf(s.tokenizer.mode, ["whitespace", "chars", "delimiter"], "settings.tokenizer.mode");
+    if (typeof s.tokenizer.delimiter !== "string") throw new Error("settings.tokenizer.delimiter must be a string");
+  }
+  if (s.prior !== undefined && s.prior !== null) {
+    if (!isObject(s.prior)) throw new Error("settings.prior must be an object or null");
+    ["alphaPi", "alphaA", "alphaB", "sticky"].forEach(k => number(s.prior[k], `settings.prior.${k}`));
+    if (s.prior.pseudocounts !== undefined && !isObject(s.prior.pseudocounts))
+      throw new Error("settings.prior.pseudocounts must be an object");
+  }
+  if (s.constraints !== undefined && s.constraints !== null) {
+    const c = s.constraints;
+    if (!isObject(c)) throw new Error("settings.constraints must be an object or null");
+    oneOf(c.topology, ["ergodic", "left-right"], "settings.constraints.topology");
+    number(c.maxJump, "settings.constraints.maxJump");
+    ["zerosA", "zerosB"].forEach(k => {
+      if (typeof c[k] !== "string") throw new Error(`settings.constraints.${k} must be a string`);
+    });
+    if (!isObject(c.freeze)) throw new Error("settings.constraints.freeze must be an object");
+  }
+  return s;
+}
+
+function checkStochastic(mat, rows, cols, name) {
+  const label = rows === 1 ? () => name : r => `${name}[${r}]`;
+  if (!Array.isArray(mat) || mat.length !== rows) throw new Error(`${name} must have ${rows} rows`);
+  mat.forEach((row, r) => {
+    checkVector(row, cols, label(r));
+    if (row.some(x => x < 0)) throw new Error(`${label(r)} has negative entries`);
+    const sum = row.reduce((a,b)=>a+b,0);
+    if (Math.abs(sum - 1) > STOCHASTIC_TOL) throw new Error(`${label(r)} sums to ${sum}, not 1`);
+  });
+}
+
+// ---------- Observations & vocabulary ----------
+// Sorted symbol → index map and its inverse.
+export function buildVocab(symbols) {
+  const uniq = Array.from(new Set(symbols)).sort();
+  const vocab = new Map();
+  uniq.forEach((s,i)=>vocab.set(s,i));
+  return {vocab, inv: uniq};
+}
+
+// Symbols missing from `vocab` become UNKNOWN_SYMBOL.
+export function toIntSeq(symbols, vocab) { return symbols.map(s => vocab.has(s) ? vocab.get(s) : UNKNOWN_SYMBOL); }
+
+// True when every token parses as a finite number (Gaussian emissions apply).
+export function isNumericInput(seqSymbols) {
+  return seqSymbols.every(symbols => symbols.every(s => Number.isFinite(Number(s))));
+}
+
+// Splits one line into symbols. tokenizer: {mode: "whitespace" | "chars" |
+// "delimiter", delimiter, caseFold}. Per-character mode ignores whitespace.
+export function tokenizeLine(line, tokenizer) {
+  let tokens;
+  if (tokenizer.mode === "chars") {
+    tokens = Array.from(line).filter(ch => !/\s/.test(ch));
+  } else if (tokenizer.mode === "delimiter") {
+    if (!tokenizer.delimiter) throw new Error("Enter a delimiter for custom tokenization.");
+    tokens = line.split(tokenizer.delimiter).map(tok => tok.trim()).filter(Boolean);
+  } else {
+    tokens = line.trim().split(/\s+/).filter(Boolean);
+  }
+  return tokenizer.caseFold ? tokens.map(tok => tok.toLowerCase()) : tokens;
+}
+
+// Inverse of tokenizeLine, for writing symbols back out as text.
+export function joinTokens(tokens, tokenizer) {
+  return tokens.join(tokenizer.mode === "delimiter" && tokenizer.delimiter ? tokenizer.delimiter : " ");
+}
+
+export const DEFAULT_TOKENIZER = {mode: "whitespace", delimiter: "", caseFold: false};
+
+// One sequence per non-empty line, or all lines joined into a single sequence.
+export function parseSequences(raw, perLine, tokenizer=DEFAULT_TOKENIZER) {
+  const lines = raw.split(/\r?\n/)
+    .map(line => tokenizeLine(line, tokenizer))
+    .filter(line => line.length > 0);
+  if (perLine) return lines;
+  const joined = lines.flat();
+  return joined.length ? [joined] : [];
+}
+
+// Minimal RFC 4180 reader: comma-separated, double-quoted fields may hold
+// commas, newlines and "" escapes. Returns rows of cells.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i=0;i<text.length;i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i+1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i+1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// Text for one CSV column: with rowsAre "symbols" the cells form a single
+// sequence, with "sequences" every cell is a sequence of its own (one line).
+export function csvColumnText(rows, column, {header=true, rowsAre="symbols", tokenizer=DEFAULT_TOKENIZER}={}) {
+  const cells = rows.slice(header ? 1 : 0).map(r => (r[column] || "").trim()).filter(Boolean);
+  return {cells, text: rowsAre === "sequences" ? cells.join("\n") : joinTokens(cells, tokenizer)};
+}
+
+// Encodes tokenized sequences for the chosen emission type. Throws with a
+// user-facing message when the input doesn't fit. `inv` fixes the vocabulary
+// (e.g. an imported model's) instead of building it from the data.
+export function encodeSequences(seqSymbols, gaussian, inv=null) {
+  if (gaussian) {
+    if (!isNumericInput(seqSymbols)) throw new Error("Gaussian emissions need numeric observations.");
+    return {seqs: seqSymbols.map(symbols => symbols.map(Number)), vocab: null, inv: null};
+  }
+  let vocab;
+  if (inv) {
+    vocab = new Map(inv.map((s, i) => [s, i]));
+    const unknown = seqSymbols.flat().find(s => !vocab.has(s));
+    if (unknown !== undefined) throw new Error(`symbol "${unknown}" is not in the model vocabulary.`);
+  } else {
+    ({vocab, inv} = buildVocab(seqSymbols.flat()));
+  }
+  return {seqs: seqSymbols.map(symbols => toIntSeq(symbols, vocab)), vocab, inv};
+}
+
+// Emission type for `settings.emission` ("auto" picks Gaussian for numbers).
+export function usesGaussian(settings, seqSymbols) {
+  return settings.emission === "gaussian" || (settings.emission === "auto" && isNumericInput(seqSymbols));
+}
+
+// Tokenized sequences → model input, with the vocabulary built from them
+// unless an existing one (`inv`) is given.
+export function encodeTrainingData(seqSymbols, gaussian, inv=null) {
+  const {seqs, vocab, inv: symbols} = encodeSequences(seqSymbols, gaussian, inv);
+  const totalLen = seqs.reduce((s, O) => s + O.length, 0);
+  return {seqSymbols, gaussian, seqs, vocab, inv: symbols, totalLen};
+}
+
+// ---------- Training jobs ----------
+// Turns constraint settings into an HMM.setConstraints spec. Zeros in A are
+// "from>to" state pairs; zeros in B are "state:symbol" pairs resolved against
+// the vocabulary `inv` (null for Gaussian emissions). Throws on bad syntax.
+export function resolveConstraints(c, inv) {
+  if (!c) return null;
+  const pairs = (text, sep, what) => text.split(/[\s,]+/).filter(Boolean).map(tok => {
+    const parts = tok.split(sep);
+    if (parts.length !== 2 || !/^\d+$/.test(parts[0])) throw new Error(`Can't read ${what} zero "${tok}" (expected e.g. 0${sep}${what === "A" ? "2" : "H"})`);
+    return [Number(parts[0]), parts[1]];
+  });
+  const zerosA = pairs(c.zerosA, ">", "A").map(([i, j]) => {
+    if (!/^\d+$/.test(j)) throw new Error(`Can't read A zero "${i}>${j}" (target must be a state number)`);
+    return [i, Number(j)];
+  });
+  let zerosB = [];
+  if (c.zerosB) {
+    if (!inv) throw new Error("Structural zeros in B need discrete emissions.");
+    zerosB = pairs(c.zerosB, ":", "B").map(([i, sym]) => {
+      const k = inv.indexOf(sym);
+      if (k < 0) throw new Error(`B zero ${i}:${sym} names a symbol not in the data`);
+      return [i, k];
+    });
+  }
+  return {topology: c.topology, maxJump: c.maxJump, zerosA, zerosB, freeze: c.freeze};
+}
+
+// One job per restart for N states; restart k uses seed + k, so each run's
+// settings reproduce it on its own. settings.algorithm is a learning rule or
+// "both", which runs every restart once per rule (Baum–Welch ones first).
+// Throws on malformed constraints.
+export function restartJobs(settings, data, N=settings.nStates) {
+  const constraints = resolveConstraints(settings.constraints, data.gaussian ? null : data.inv);
+  const algorithm = settings.algorithm || "baum-welch";
+  if (algorithm !== "both" && !LEARNING_RULES.includes(algorithm)) throw new Error(`unknown learning rule "${algorithm}"`);
+  return (algorithm === "both" ? LEARNING_RULES : [algorithm]).flatMap(rule =>
+    Array.from({length: settings.restarts}, (_, k) => ({
+      emission: data.gaussian ? "gaussian" : "discrete",
+      N, M: data.gaussian ? 0 : data.inv.length, seed: settings.seed + k,
+      initMode: settings.initMode, initConcentration: settings.initConcentration, initWindow: settings.initWindow,
+      algorithm: rule, maxIter: settings.maxIter, tol: settings.tol,
+      prior: settings.prior, constraints,
+    })));
+}
+
+// ---------- Sequence classification ----------
+// A bank of DiscreteHMMs, one per class, over a shared vocabulary. A sequence
+// is scored by forwardScaled under every class model and assigned to the
+// class with the highest log-likelihood (equal class priors).
+
+// One "label: symbols" sequence per non-empty line, split at the first ":".
+// A line without a label gets label null unless `requireLabels`, in which
+// case it throws naming the line.
+export function parseLabelledSequences(text, tokenizer=DEFAULT_TOKENIZER, requireLabels=false) {
+  const out = [];
+  text.split(/\r?\n/).forEach((line, n) => {
+    if (!line.trim()) return;
+    const colon = line.indexOf(":");
+    const label = colon >= 0 ? line.slice(0, colon).trim() : "";
+    if (!label && requireLabels) throw new Error(`line ${n + 1} has no class label (expected "label: symbols")`);
+    const symbols = tokenizeLine(label ? line.slice(colon + 1) : line, tokenizer);
+    if (symbols.length === 0) throw new Error(`line ${n + 1} has no symbols`);
+    out.push({label: label || null, symbols});
+  });
+  return out;
+}
+
+// Groups labelled training sequences by class (in order of first appearance)
+// and encodes them against one vocabulary built from all of them.
+export function classifierData(examples) {
+  if (examples.length === 0) throw new Error("no training sequences");
+  const {vocab, inv} = buildVocab(examples.flatMap(ex => ex.symbols));
+  const classes = [];
+  const byClass = [];
+  examples.forEach(ex => {
+    let c = classes.indexOf(ex.label);
+    if (c < 0) { c = classes.push(ex.label) - 1; byClass.push([]); }
+    byClass[c].push(toIntSeq(ex.symbols, vocab));
+  });
+  if (classes.length < 2) throw new Error("classification needs at least two classes");
+  return {classes, vocab, inv, byClass};
+}
+
+// Trains the bank: for every class, the jobs restartJobs builds from
+// `settings` with N states, keeping the run with the best final objective.
+// trainRuns(jobs, seqs, c) trains class c's jobs into [{hmm, loglikHist}]; it
+// may return a promise (the page hands the jobs to its worker) or null to
+// stop. Resolves to {classes, vocab, inv, models}, or null when stopped.
+export async function trainClassifier(examples, settings, N=settings.nStates,
+                                      trainRuns=(jobs, seqs) => jobs.map(job => trainJob(job, seqs))) {
+  const data = classifierData(examples);
+  const models = [];
+  for (const [c, seqs] of data.byClass.entries()) {
+    const runs = await trainRuns(restartJobs(settings, {gaussian: false, inv: data.inv}, N), seqs, c);
+    if (!runs) return null;
+    models.push(runs[argmax(runs.map(r => r.loglikHist[r.loglikHist.length - 1]))].hmm);
+  }
+  return {classes: data.classes, vocab: data.vocab, inv: data.inv, models};
+}
+
+// Per-class log-likelihoods of O, the posterior class probabilities under
+// equal priors and the index of the predicted class.
+export function classifySequence(models, O) {
+  const scores = models.map(hmm => hmm.logLikelihood(O));
+  const top = Math.max(...scores);
+  const w = scores.map(s => Math.exp(s - top));
+  const z = w.reduce((a,b)=>a+b,0);
+  return {scores, posterior: w.map(x => x / z), predicted: argmax(scores)};
+}
+
+// matrix[i][j] counts sequences of true class i predicted as class j.
+export function confusionMatrix(truth, predicted, K) {
+  const matrix = zeros2(K, K);
+  truth.forEach((c, n) => { matrix[c][predicted[n]] += 1; });
+  const correct = matrix.reduce((s, row, i) => s + row[i], 0);
+  return {matrix, accuracy: truth.length ? correct / truth.length : NaN};
+}
@@ -1,241 +1,285 @@
-// Pure JS Discrete HMM + Baum–Welch (EM) with scaling, plus Viterbi decoding.
-
-// ---------- Utilities ----------
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function() {
-    t += 0x6D2B79F5;
-    let x = Math.imul(t ^ (t >>> 15), 1 | t);
-    x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
-    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function clampMin(x, eps) { return x < eps ? eps : x; }
-
-function normalizeVec(v, eps=1e-12) {
-  let sum = 0;
-  for (let i=0;i<v.length;i++) { v[i] = clampMin(v[i], eps); sum += v[i]; }
-  for (let i=0;i<v.length;i++) v[i] /= sum;
-  return v;
-}
-
-function normalizeRows(mat, eps=1e-12) {
-  for (let i=0;i<mat.length;i++) {
-    let sum = 0;
-    for (let j=0;j<mat[i].length;j++) { mat[i][j] = clampMin(mat[i][j], eps); sum += mat[i][j]; }
-    for (let j=0;j<mat[i].length;j++) mat[i][j] /= sum;
-  }
-  return mat;
-}
-
-function zeros2(r,c) {
-  const a = new Array(r);
-  for (let i=0;i<r;i++) a[i] = new Array(c).fill(0);
-  return a;
-}
-function zeros3(t,r,c) {
-  const a = new Array(t);
-  for (let k=0;k<t;k++) a[k] = zeros2(r,c);
-  return a;
-}
-
-function argmax(arr) {
-  let bestI = 0, bestV = arr[0];
-  for (let i=1;i<arr.length;i++) { if (arr[i] > bestV) { bestV = arr[i]; bestI = i; } }
-  return bestI;
-}
-
-// ---------- HMM Model ----------
-class DiscreteHMM {
-  constructor(N, M, seed=0, initMode="random") {
-    this.N = N;
-    this.M = M;
-    this.rng = mulberry32(seed);
-
-    if (initMode === "uniform") {
-      this.pi = new Array(N).fill(1/N);
-      this.A = zeros2(N,N).map(row => row.map(_ => 1/N));
-      this.B = zeros2(N,M).map(row => row.map(_ => 1/M));
-    } else {
-      this.pi = normalizeVec(new Array(N).fill(0).map(_ => this.rng()));
-      this.A = normalizeRows(zeros2(N,N).map(row => row.map(_ => this.rng())));
-      this.B = normalizeRows(zeros2(N,M).map(row => row.map(_ => this.rng())));
-    }
-  }
-
-  forwardScaled(O) {
-    const T = O.length;
-    const alpha = zeros2(T, this.N);
-    const c = new Array(T).fill(0);
-    for (let i=0;i<this.N;i++) alpha[0][i] = this.pi[i] * this.B[i][O[0]];
-    let s0 = alpha[0].reduce((a,b)=>a+b,0);
-    if (s0 === 0) s0 = 1e-300;
-    c[0] = s0;
-    for (let i=0;i<this.N;i++) alpha[0][i] /= c[0];
-    for (let t=1;t<T;t++) {
-      for (let j=0;j<this.N;j++) {
-        let sum = 0;
-        for (let i=0;i<this.N;i++) sum += alpha[t-1][i] * this.A[i][j];
-        alpha[t][j] = sum * this.B[j][O[t]];
-      }
-      let st = alpha[t].reduce((a,b)=>a+b,0);
-      if (st === 0) st = 1e-300;
-      c[t] = st;
-      for (let j=0;j<this.N;j++) alpha[t][j] /= c[t];
-    }
-    let loglik = 0;
-    for (let t=0;t<T;t++) loglik += Math.log(c[t]);
-    return {alpha, c, loglik};
-  }
-
-  backwardScaled(O, c) {
-    const T = O.length;
-    const beta = zeros2(T, this.N);
-    for (let i=0;i<this.N;i++) beta[T-1][i] = 1;
-    for (let t=T-2;t>=0;t--) {
-      for (let i=0;i<this.N;i++) {
-        let sum = 0;
-        for (let j=0;j<this.N;j++) sum += this.A[i][j] * this.B[j][O[t+1]] * beta[t+1][j];
-        beta[t][i] = sum / c[t+1];
-      }
-    }
-    return beta;
-  }
-
-  baumWelch(O, maxIter=30, tol=1e-4, eps=1e-12) {
-    const T = O.length;
-    const loglikHist = [];
-    let prev = null;
-
-    for (let it=0; it<maxIter; it++) {
-      const {alpha, c, loglik} = this.forwardScaled(O);
-      const beta = this.backwardScaled(O, c);
-      loglikHist.push(loglik);
-
-      const gamma = zeros2(T, this.N);
-      for (let t=0;t<T;t++) {
-        let sum = 0;
-        for (let i=0;i<this.N;i++) { gamma[t][i] = alpha[t][i] * beta[t][i]; sum += gamma[t][i]; }
-        sum = clampMin(sum, eps);
-        for (let i=0;i<this.N;i++) gamma[t][i] /= sum;
-      }
-
-      const xi = zeros3(T-1, this.N, this.N);
-      for (let t=0;t<T-1;t++) {
-        const obsNext = O[t+1];
-        let denom = 0;
-        for (let i=0;i<this.N;i++) {
-          for (let j=0;j<this.N;j++) {
-            const val = alpha[t][i] * this.A[i][j] * this.B[j][obsNext] * beta[t+1][j];
-            xi[t][i][j] = val;
-            denom += val;
-          }
-        }
-        denom = clampMin(denom, eps);
-        for (let i=0;i<this.N;i++) for (let j=0;j<this.N;j++) xi[t][i][j] /= denom;
-      }
-
-      const piNew = gamma[0].slice();
-
-      const ANew = zeros2(this.N, this.N);
-      const denomA = new Array(this.N).fill(0);
-      for (let i=0;i<this.N;i++) {
-        let s = 0;
-        for (let t=0;t<T-1;t++) s += gamma[t][i];
-        denomA[i] = clampMin(s, eps);
-      }
-      for (let i=0;i<this.N;i++)
-        for (let j=0;j<this.N;j++) {
-          let num = 0;
-          for (let t=0;t<T-1;t++) num += xi[t][i][j];
-          ANew[i][j] = num / denomA[i];
-        }
-
-      const BNew = zeros2(this.N, this.M);
-      const denomB = new Array(this.N).fill(0);
-      for (let i=0;i<this.N;i++) {
-        let s = 0;
-        for (let t=0;t<T;t++) s += gamma[t][i];
-        denomB[i] = clampMin(s, eps);
-      }
-      for (let i=0;i<this.N;i++)
-        for (let k=0;k<this.M;k++) {
-          let num = 0;
-          for (let t=0;t<T;t++) { if (O[t] === k) num += gamma[t][i]; }
-          BNew[i][k] = num / denomB[i];
-        }
-
-      this.pi = normalizeVec(piNew, eps);
-      this.A = normalizeRows(ANew, eps);
-      this.B = normalizeRows(BNew, eps);
-
-      if (prev !== null && Math.abs(loglik - prev) < tol) break;
-      prev = loglik;
-    }
-
-    return {loglikHist};
-  }
-
-  viterbi(O) {
-    const T = O.length;
-    const logA = zeros2(this.N, this.N);
-    const logB = zeros2(this.N, this.M);
-    const logpi = new Array(this.N).fill(0);
-    for (let i=0;i<this.N;i++) logpi[i] = Math.log(clampMin(this.pi[i], 1e-300));
-    for (let i=0;i<this.N;i++) {
-      for (let j=0;j<this.N;j++) logA[i][j] = Math.log(clampMin(this.A[i][j], 1e-300));
-      for (let k=0;k<this.M;k++) logB[i][k] = Math.log(clampMin(this.B[i][k], 1e-300));
-    }
-    const dp = zeros2(T, this.N);
-    const back = zeros2(T, this.N);
-    for (let i=0;i<this.N;i++) { dp[0][i] = logpi[i] + logB[i][O[0]]; back[0][i] = 0; }
-    for (let t=1;t<T;t++) {
-      for (let j=0;j<this.N;j++) {
-        let bestScore = -Infinity, bestPrev = 0;
-        for (let i=0;i<this.N;i++) {
-          const score = dp[t-1][i] + logA[i][j];
-          if (score > bestScore) { bestScore = score; bestPrev = i; }
-        }
-        back[t][j] = bestPrev;
-        dp[t][j] = bestScore + logB[j][O[t]];
-      }
-    }
-    const path = new Array(T).fill(0);
-    path[T-1] = argmax(dp[T-1]);
-    for (let t=T-2;t>=0;t--) path[t] = back[t+1][path[t+1]];
-    return path;
-  }
-}
+// UI for the HMM Baum–Welch visualizer. The model code lives in hmm.js, the
+// experiment charts in charts.js, and training runs in worker.js.
+
+import {
+  mulberry32, argmax, DiscreteHMM, GaussianHMM, createModel, totalLoglik,
+  unscaledLogLattices, latticeGamma, latticeXi, gaussianPdf, holdoutSplit, kFoldSplits, heldOutScore,
+  freeParameterCount, informationCriteria, recoveryReport, modelToJSON,
+  modelFromJSON, modelFromSpec, toIntSeq, joinTokens, parseSequences,
+  parseCSV, csvColumnText, encodeSequences, usesGaussian, encodeTrainingData,
+  resolveConstraints, restartJobs, setRowEntry, trainJob, parseLabelledSequences,
+  classifierData, trainClassifier, classifySequence, confusionMatrix, checkSettings, UNKNOWN_SYMBOL,
+} from "./hmm.js";
+import {drawLineChart} from "./charts.js";
 
 // ---------- UI Logic ----------
 const obsEl = document.getElementById("obs");
+const multiSeqEl = document.getElementById("multiSeq");
+const tokenModeEl = document.getElementById("tokenMode");
+const delimiterEl = document.getElementById("delimiter");
+const caseFoldEl = document.getElementById("caseFold");
+const loadFileBtn = document.getElementById("loadFileBtn");
+const obsFileEl = document.getElementById("obsFile");
+const csvOptionsEl = document.getElementById("csvOptions");
+const csvColumnEl = document.getElementById("csvColumn");
+const csvHeaderEl = document.getElementById("csvHeader");
+const csvRowsEl = document.getElementById("csvRows");
+const obsPreview = document.getElementById("obsPreview");
 const nStatesEl = document.getElementById("nStates");
 const nIterEl = document.getElementById("nIter");
 const tolEl = document.getElementById("tol");
 const seedEl = document.getElementById("seed");
 const initModeEl = document.getElementById("initMode");
+const initConcentrationEl = document.getElementById("initConcentration");
+const initWindowEl = document.getElementById("initWindow");
+const initHintEl = document.getElementById("initHint");
+const algorithmEl = document.getElementById("algorithm");
+const emissionEl = document.getElementById("emission");
+const restartsEl = document.getElementById("restarts");
+const priorOnEl = document.getElementById("priorOn");
+const alphaPiEl = document.getElementById("alphaPi");
+const alphaAEl = document.getElementById("alphaA");
+const alphaBEl = document.getElementById("alphaB");
+const stickyEl = document.getElementById("sticky");
+const pseudoEl = document.getElementById("pseudo");
+const topologyEl = document.getElementById("topology");
+const maxJumpEl = document.getElementById("maxJump");
+const zerosAEl = document.getElementById("zerosA");
+const zerosBEl = document.getElementById("zerosB");
+const freezePiEl = document.getElementById("freezePi");
+const freezeAEl = document.getElementById("freezeA");
+const freezeBEl = document.getElementById("freezeB");
+const chartTitleEl = document.getElementById("chartTitle");
 const trainBtn = document.getElementById("trainBtn");
+const cancelBtn = document.getElementById("cancelBtn");
+const exportBtn = document.getElementById("exportBtn");
+const importBtn = document.getElementById("importBtn");
+const importFileEl = document.getElementById("importFile");
+const linkBtn = document.getElementById("linkBtn");
+const linkModelEl = document.getElementById("linkModel");
 const statusEl = document.getElementById("status");
 const piTableDiv = document.getElementById("piTable");
 const aTableDiv = document.getElementById("aTable");
 const bTableDiv = document.getElementById("bTable");
+const bTitleEl = document.getElementById("bTitle");
+const paramInfo = document.getElementById("paramInfo");
+const diagramEl = document.getElementById("diagram");
+const diagramLayoutEl = document.getElementById("diagramLayout");
+const diagramThresholdEl = document.getElementById("diagramThreshold");
+const diagramThresholdLabel = document.getElementById("diagramThresholdLabel");
+const diagramResetBtn = document.getElementById("diagramResetBtn");
+const trainHereBtn = document.getElementById("trainHereBtn");
+const revertBtn = document.getElementById("revertBtn");
 const obsOut = document.getElementById("obsOut");
 const vitOut = document.getElementById("vitOut");
+const seqPickEl = document.getElementById("seqPick");
+const postOut = document.getElementById("postOut");
+const postSummary = document.getElementById("postSummary");
+const postStartEl = document.getElementById("postStart");
+const trellisOut = document.getElementById("trellisOut");
+const trellisStartEl = document.getElementById("trellisStart");
+const trellisInfo = document.getElementById("trellisInfo");
+const latticeUnscaledEl = document.getElementById("latticeUnscaled");
+const alphaOut = document.getElementById("alphaOut");
+const betaOut = document.getElementById("betaOut");
+const scaleChart = document.getElementById("scaleChart");
+const scaleSummary = document.getElementById("scaleSummary");
+const xiTEl = document.getElementById("xiT");
+const xiLabel = document.getElementById("xiLabel");
+const xiOut = document.getElementById("xiOut");
+const playBtn = document.getElementById("playBtn");
+const stepBackBtn = document.getElementById("stepBackBtn");
+const stepBtn = document.getElementById("stepBtn");
+const iterSlider = document.getElementById("iterSlider");
+const iterLabel = document.getElementById("iterLabel");
+const runsOut = document.getElementById("runsOut");
+const genSourceEl = document.getElementById("genSource");
+const genSpecEl = document.getElementById("genSpec");
+const genTEl = document.getElementById("genT");
+const genCountEl = document.getElementById("genCount");
+const genSeedEl = document.getElementById("genSeed");
+const genShowStatesEl = document.getElementById("genShowStates");
+const genBtn = document.getElementById("genBtn");
+const genUseBtn = document.getElementById("genUseBtn");
+const genStatus = document.getElementById("genStatus");
+const genOut = document.getElementById("genOut");
+const expPresetEl = document.getElementById("expPreset");
+const expSpecEl = document.getElementById("expSpec");
+const expTsEl = document.getElementById("expTs");
+const expSeedEl = document.getElementById("expSeed");
+const expBtn = document.getElementById("expBtn");
+const expCancelBtn = document.getElementById("expCancelBtn");
+const expStatus = document.getElementById("expStatus");
+const expChart = document.getElementById("expChart");
+const expOut = document.getElementById("expOut");
+const selMinEl = document.getElementById("selMin");
+const selMaxEl = document.getElementById("selMax");
+const selRestartsEl = document.getElementById("selRestarts");
+const selBtn = document.getElementById("selBtn");
+const selCancelBtn = document.getElementById("selCancelBtn");
+const selStatus = document.getElementById("selStatus");
+const selChart = document.getElementById("selChart");
+const selOut = document.getElementById("selOut");
+const evalModeEl = document.getElementById("evalMode");
+const evalFracEl = document.getElementById("evalFrac");
+const evalKEl = document.getElementById("evalK");
+const evalNsEl = document.getElementById("evalNs");
+const evalSeedEl = document.getElementById("evalSeed");
+const evalBtn = document.getElementById("evalBtn");
+const evalCancelBtn = document.getElementById("evalCancelBtn");
+const evalStatus = document.getElementById("evalStatus");
+const evalChart = document.getElementById("evalChart");
+const evalOut = document.getElementById("evalOut");
+const clsTrainEl = document.getElementById("clsTrain");
+const clsTestEl = document.getElementById("clsTest");
+const clsNEl = document.getElementById("clsN");
+const clsExampleBtn = document.getElementById("clsExampleBtn");
+const clsBtn = document.getElementById("clsBtn");
+const clsCancelBtn = document.getElementById("clsCancelBtn");
+const clsStatus = document.getElementById("clsStatus");
+const clsOut = document.getElementById("clsOut");
+const clsConfusion = document.getElementById("clsConfusion");
+const onlineScheduleEl = document.getElementById("onlineSchedule");
+const onlineKappaEl = document.getElementById("onlineKappa");
+const onlineLambdaEl = document.getElementById("onlineLambda");
+const onlineBurnInEl = document.getElementById("onlineBurnIn");
+const onlineSpeedEl = document.getElementById("onlineSpeed");
+const onlineInputEl = document.getElementById("onlineInput");
+const onlineAppendBtn = document.getElementById("onlineAppendBtn");
+const onlineReplayBtn = document.getElementById("onlineReplayBtn");
+const onlineResetBtn = document.getElementById("onlineResetBtn");
+const onlineStatus = document.getElementById("onlineStatus");
+const onlineFiltered = document.getElementById("onlineFiltered");
+const onlineChart = document.getElementById("onlineChart");
+const onlineParams = document.getElementById("onlineParams");
 const canvas = document.getElementById("chart");
 const ctx = canvas.getContext("2d");
 
-function buildVocab(symbols) {
-  const uniq = Array.from(new Set(symbols)).sort();
-  const vocab = new Map();
-  uniq.forEach((s,i)=>vocab.set(s,i));
-  return {vocab, inv: uniq};
+// ---------- Input files & preview ----------
+let loadedCsv = null;
+
+function readTokenizer() {
+  return {mode: tokenModeEl.value, delimiter: delimiterEl.value, caseFold: caseFoldEl.checked};
+}
+
+async function loadObservationFile(file) {
+  let text;
+  try { text = await file.text(); }
+  catch (err) { statusEl.textContent = `⚠ Couldn't read ${file.name}: ${err.message}`; return; }
+  if (/\.csv$/i.test(file.name) || file.type === "text/csv") {
+    const rows = parseCSV(text);
+    if (rows.length === 0) { statusEl.textContent = `⚠ ${file.name} has no rows.`; return; }
+    loadedCsv = {name: file.name, rows};
+    fillCsvColumns();
+    csvOptionsEl.hidden = false;
+    applyCsvColumn();
+  } else {
+    loadedCsv = null;
+    csvOptionsEl.hidden = true;
+    obsEl.value = text;
+    updatePreview();
+    statusEl.textContent = `📄 Loaded ${file.name} (${text.length.toLocaleString()} characters)`;
+  }
+}
+
+// Column picker labels come from the header row when there is one.
+function fillCsvColumns() {
+  const {rows} = loadedCsv;
+  const selected = Number(csvColumnEl.value) || 0;
+  const width = Math.max(...rows.map(r => r.length));
+  csvColumnEl.innerHTML = Array.from({length: width}, (_, k) => {
+    const name = csvHeaderEl.checked && rows[0][k] ? rows[0][k].trim() : `Column ${k + 1}`;
+    return `<option value="${k}">${escapeHTML(name)}</option>`;
+  }).join("");
+  csvColumnEl.value = Math.min(selected, width - 1);
+}
+
+// Writes the chosen CSV column into the input box: either one symbol per row
+// (a single sequence) or one whole sequence per row.
+function applyCsvColumn() {
+  if (!loadedCsv) return;
+  const {cells, text} = csvColumnText(loadedCsv.rows, Number(csvColumnEl.value),
+    {header: csvHeaderEl.checked, rowsAre: csvRowsEl.value, tokenizer: readTokenizer()});
+  obsEl.value = text;
+  if (csvRowsEl.value === "sequences") multiSeqEl.checked = true;
+  updatePreview();
+  statusEl.textContent = `📄 Loaded ${loadedCsv.name} — column "${csvColumnEl.selectedOptions[0].textContent}", ${cells.length.toLocaleString()} rows`;
+}
+
+const PREVIEW_TOP_SYMBOLS = 12;
+let previewTimer = null;
+
+// Summary of what training would see: sequence count and lengths, then
+// vocabulary size and symbol frequencies (or value range for numeric input).
+function updatePreview() {
+  clearTimeout(previewTimer);
+  let seqSymbols;
+  try { seqSymbols = parseSequences(obsEl.value, multiSeqEl.checked, readTokenizer()); }
+  catch (err) { obsPreview.innerHTML = `<p class="small">⚠ ${escapeHTML(err.message)}</p>`; return; }
+  if (seqSymbols.length === 0) { obsPreview.innerHTML = `<p class="small">No observations yet.</p>`; return; }
+
+  const lengths = seqSymbols.map(seq => seq.length);
+  const total = lengths.reduce((a, b) => a + b, 0);
+  const seqInfo = seqSymbols.length > 1
+    ? `${seqSymbols.length} sequences · ${total.toLocaleString()} symbols (lengths ${lengths.reduce((m, n) => Math.min(m, n))}–${lengths.reduce((m, n) => Math.max(m, n))})`
+    : `1 sequence · length ${total.toLocaleString()}`;
+  if (usesGaussian({emission: emissionEl.value}, seqSymbols)) {
+    const xs = seqSymbols.flat().map(Number);
+    const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const sd = Math.sqrt(xs.reduce((a, x) => a + (x - mean) * (x - mean), 0) / xs.length);
+    obsPreview.innerHTML = `<p class="small">${seqInfo} · numeric: mean ${mean.toFixed(3)}, sd ${sd.toFixed(3)}, ` +
+                           `range ${xs.reduce((m, x) => Math.min(m, x))} … ${xs.reduce((m, x) => Math.max(m, x))}</p>`;
+    return;
+  }
+  const counts = new Map();
+  for (const seq of seqSymbols) for (const s of seq) counts.set(s, (counts.get(s) || 0) + 1);
+  const sorted = Array.from(counts).sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+  const top = sorted[0][1];
+  let html = `<p class="small">${seqInfo} · vocabulary ${counts.size}</p><div class="freq-list">`;
+  sorted.slice(0, PREVIEW_TOP_SYMBOLS).forEach(([sym, n]) => {
+    html += `<div class="freq-row"><span class="freq-sym">${escapeHTML(sym)}</span>` +
+            `<span class="freq-bar" style="width:${(n / top * 100).toFixed(1)}%"></span>` +
+            `<span class="freq-n">${n.toLocaleString()} · ${(n / total * 100).toFixed(1)}%</span></div>`;
+  });
+  if (sorted.length > PREVIEW_TOP_SYMBOLS) html += `<p class="small">… and ${sorted.length - PREVIEW_TOP_SYMBOLS} more symbols</p>`;
+  obsPreview.innerHTML = html + `</div>`;
+}
+
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(updatePreview, 200);
 }
 
-function toIntSeq(symbols, vocab) { return symbols.map(s => vocab.get(s)); }
+obsEl.addEventListener("input", schedulePreview);
+delimiterEl.addEventListener("input", schedulePreview);
+[multiSeqEl, tokenModeEl, caseFoldEl, emissionEl].forEach(el => el.addEventListener("change", updatePreview));
+[csvColumnEl, csvRowsEl].forEach(el => el.addEventListener("change", applyCsvColumn));
+csvHeaderEl.addEventListener("change", () => { if (loadedCsv) { fillCsvColumns(); applyCsvColumn(); } });
+
+loadFileBtn.addEventListener("click", () => obsFileEl.click());
+obsFileEl.addEventListener("change", () => {
+  const file = obsFileEl.files[0];
+  obsFileEl.value = "";
+  if (file) loadObservationFile(file);
+});
+
+obsEl.addEventListener("dragover", e => { e.preventDefault(); obsEl.classList.add("drop-target"); });
+obsEl.addEventListener("dragleave", () => obsEl.classList.remove("drop-target"));
+obsEl.addEventListener("drop", e => {
+  e.preventDefault();
+  obsEl.classList.remove("drop-target");
+  const file = e.dataTransfer.files[0];
+  if (file) loadObservationFile(file);
+});
+
+updatePreview();
 
 // ---------- Chart ----------
-function drawChart(values) {
+// `marker` optionally highlights one iteration (used by playback); `overlays`
+// are other runs' curves drawn faintly behind the main one on shared axes,
+// each an array of values or {values, color}.
+function drawChart(values, marker=null, overlays=[]) {
+  overlays = overlays.map(o => Array.isArray(o) ? {values: o, color: "rgba(107,122,153,0.35)"} : o);
   ctx.clearRect(0,0,canvas.width,canvas.height);
   if (!values || values.length < 2) return;
 
@@ -243,9 +287,20 @@ function drawChart(values) {
   const W = canvas.width - pad.left - pad.right;
   const H = canvas.height - pad.top - pad.bottom;
 
-  const minV = Math.min(...values);
-  const maxV = Math.max(...values);
+  const all = [values, ...overlays.map(o => o.values)];
+  const len = Math.max(...all.map(v => v.length));
+  const minV = Math.min(...all.map(v => Math.min(...v)));
+  const maxV = Math.max(...all.map(v => Math.max(...v)));
   const range = (maxV - minV) || 1;
+  const xOf = i => pad.left + (i/(len-1))*W;
+  const yOf = v => pad.top + H - ((v - minV)/range)*H;
+  const tracePath = vals => {
+    ctx.beginPath();
+    vals.forEach((v, i) => {
+      if (i === 0) ctx.moveTo(xOf(i), yOf(v));
+      else ctx.lineTo(xOf(i), yOf(v));
+    });
+  };
 
   // Grid lines
   ctx.strokeStyle = "#dde3ef";
@@ -268,16 +323,14 @@ function drawChart(values) {
   ctx.lineTo(pad.left + W, pad.top + H);
   ctx.stroke();
 
+  // Other runs
+  ctx.lineWidth = 1.5;
+  ctx.lineJoin = "round";
+  overlays.forEach(o => { ctx.strokeStyle = o.color; tracePath(o.values); ctx.stroke(); });
+
   // Fill area
-  ctx.beginPath();
-  values.forEach((v, i) => {
-    const x = pad.left + (i/(values.length-1))*W;
-    const y = pad.top + H - ((v - minV)/range)*H;
-    if (i === 0) ctx.moveTo(x, y);
-    else ctx.lineTo(x, y);
-  });
-  const lastX = pad.left + W;
-  ctx.lineTo(lastX, pad.top + H);
+  tracePath(values);
+  ctx.lineTo(xOf(values.length-1), pad.top + H);
   ctx.lineTo(pad.left, pad.top + H);
   ctx.closePath();
   ctx.fillStyle = "rgba(37,99,235,0.08)";
@@ -286,26 +339,38 @@ function drawChart(values) {
   // Line
   ctx.strokeStyle = "#2563eb";
   ctx.lineWidth = 2.5;
-  ctx.lineJoin = "round";
-  ctx.beginPath();
-  values.forEach((v, i) => {
-    const x = pad.left + (i/(values.length-1))*W;
-    const y = pad.top + H - ((v - minV)/range)*H;
-    if (i === 0) ctx.moveTo(x, y);
-    else ctx.lineTo(x, y);
-  });
+  tracePath(values);
   ctx.stroke();
 
   // Dots at first and last
   [0, values.length-1].forEach(i => {
-    const x = pad.left + (i/(values.length-1))*W;
-    const y = pad.top + H - ((values[i] - minV)/range)*H;
     ctx.beginPath();
-    ctx.arc(x, y, 4, 0, Math.PI*2);
+    ctx.arc(xOf(i), yOf(values[i]), 4, 0, Math.PI*2);
     ctx.fillStyle = "#2563eb";
     ctx.fill();
   });
 
+  // Playback marker
+  if (marker !== null) {
+    const x = xOf(marker);
+    const y = yOf(values[marker]);
+    ctx.strokeStyle = "rgba(124,58,237,0.35)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, pad.top);
+    ctx.lineTo(x, pad.top + H);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, Math.PI*2);
+    ctx.fillStyle = "#7c3aed";
+    ctx.fill();
+    ctx.strokeStyle = "#fff";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
   // Labels
   ctx.fillStyle = "#6b7a99";
   ctx.font = "11px 'IBM Plex Mono', monospace";
@@ -314,21 +379,27 @@ function drawChart(values) {
   ctx.fillText(minV.toFixed(1), pad.left - 6, pad.top + H + 4);
   ctx.textAlign = "center";
   ctx.fillText("1", pad.left, pad.top + H + 16);
-  ctx.fillText(values.length, pad.left + W, pad.top + H + 16);
+  ctx.fillText(len, pad.left + W, pad.top + H + 16);
 }
 
 // ---------- Tables ----------
-function toTable(mat, colLabels=null, rowLabels=null, digits=4) {
+// With `param` set ("pi", "A", "B"), cells are editable and carry their
+// position for the parameter editor.
+function editAttrs(param, r, c) {
+  return param ? ` contenteditable="true" spellcheck="false" data-param="${param}" data-r="${r}" data-c="${c}"` : "";
+}
+
+function toTable(mat, colLabels=null, rowLabels=null, digits=4, param=null) {
   const rows = mat.length, cols = mat[0].length;
   let html = `<table><thead><tr><th></th>`;
-  for (let c=0;c<cols;c++) html += `<th>${colLabels ? colLabels[c] : 'S'+c}</th>`;
+  for (let c=0;c<cols;c++) html += `<th>${colLabels ? escapeHTML(colLabels[c]) : 'S'+c}</th>`;
   html += `</tr></thead><tbody>`;
   for (let r=0;r<rows;r++) {
-    html += `<tr><th>${rowLabels ? rowLabels[r] : 'S'+r}</th>`;
+    html += `<tr><th>${rowLabels ? escapeHTML(rowLabels[r]) : 'S'+r}</th>`;
     for (let c=0;c<cols;c++) {
       const v = mat[r][c];
       const intensity = Math.round(v * 80);
-      html += `<td style="background:rgba(37,99,235,${v*0.18})">${v.toFixed(digits)}</td>`;
+      html += `<td style="background:rgba(37,99,235,${v*0.18})"${editAttrs(param, r, c)}>${v.toFixed(digits)}</td>`;
     }
     html += `</tr>`;
   }
@@ -336,29 +407,150 @@ function toTable(mat, colLabels=null, rowLabels=null, digits=4) {
   return html;
 }
 
-function vecToTable(vec, digits=4) {
+function vecToTable(vec, digits=4, param=null) {
   let html = `<table><thead><tr>`;
   for (let i=0;i<vec.length;i++) html += `<th>S${i}</th>`;
   html += `</tr></thead><tbody><tr>`;
-  for (let i=0;i<vec.length;i++) html += `<td style="background:rgba(37,99,235,${vec[i]*0.18})">${vec[i].toFixed(digits)}</td>`;
+  for (let i=0;i<vec.length;i++) html += `<td style="background:rgba(37,99,235,${vec[i]*0.18})"${editAttrs(param, 0, i)}>${vec[i].toFixed(digits)}</td>`;
   html += `</tr></tbody></table>`;
   return html;
 }
 
+// ---------- Gaussian densities ----------
+// Value range covering every state's density out to ±3σ.
+function gaussianRange(hmm) {
+  let lo = Infinity, hi = -Infinity;
+  for (let i=0;i<hmm.N;i++) {
+    const sd = Math.sqrt(hmm.vars[i]);
+    lo = Math.min(lo, hmm.means[i] - 3*sd);
+    hi = Math.max(hi, hmm.means[i] + 3*sd);
+  }
+  if (hi - lo < 1e-9) { lo -= 1; hi += 1; }
+  return {lo, hi};
+}
+
+// SVG path of one density curve; `peak` is the pdf value drawn at full height.
+function densityPath(mu, v, range, x0, width, baseY, height, peak, steps=120) {
+  let d = "";
+  for (let s=0;s<=steps;s++) {
+    const val = range.lo + (s/steps) * (range.hi - range.lo);
+    const x = x0 + (s/steps) * width;
+    const y = baseY - gaussianPdf(val, mu, v) / peak * height;
+    d += `${s === 0 ? "M" : " L"} ${x.toFixed(1)} ${y.toFixed(1)}`;
+  }
+  return d;
+}
+
+function gaussTable(hmm, digits=4) {
+  let html = `<table><thead><tr><th></th><th>μ</th><th>σ²</th><th>σ</th></tr></thead><tbody>`;
+  for (let i=0;i<hmm.N;i++) {
+    html += `<tr><th>S${i}</th><td${editAttrs("means", i, 0)}>${hmm.means[i].toFixed(digits)}</td>` +
+            `<td${editAttrs("vars", i, 0)}>${hmm.vars[i].toFixed(digits)}</td><td>${Math.sqrt(hmm.vars[i]).toFixed(digits)}</td></tr>`;
+  }
+  html += `</tbody></table>`;
+  return html;
+}
+
+function densityPlotSVG(hmm, width=320, height=120) {
+  const range = gaussianRange(hmm);
+  const pad = 8, base = height - 20;
+  const peak = Math.max(...hmm.vars.map(v => gaussianPdf(0, 0, v)));
+  let html = `<svg class="density-plot" viewBox="0 0 ${width} ${height}" width="100%">`;
+  for (let i=0;i<hmm.N;i++) {
+    const color = STATE_COLORS[i % STATE_COLORS.length];
+    const d = densityPath(hmm.means[i], hmm.vars[i], range, pad, width - 2*pad, base, base - pad, peak);
+    html += `<path d="${d}" fill="none" stroke="${color}" stroke-width="1.8"/>`;
+  }
+  html += `<line x1="${pad}" y1="${base}" x2="${width-pad}" y2="${base}" stroke="#c4cfe0"/>`;
+  html += `<text x="${pad}" y="${height-4}" font-size="10" fill="#6b7a99" font-family="'IBM Plex Mono', monospace">${range.lo.toFixed(2)}</text>`;
+  html += `<text x="${width-pad}" y="${height-4}" font-size="10" fill="#6b7a99" text-anchor="end" font-family="'IBM Plex Mono', monospace">${range.hi.toFixed(2)}</text>`;
+  html += `</svg>`;
+  return html;
+}
+
+// B card: symbol table for discrete models, per-state densities for Gaussian ones.
+function renderEmissions(hmm, inv) {
+  if (hmm instanceof GaussianHMM) {
+    bTitleEl.textContent = "B — Gaussian Emissions";
+    bTableDiv.innerHTML = gaussTable(hmm) + densityPlotSVG(hmm);
+  } else {
+    bTitleEl.textContent = "B — Emission Matrix";
+    bTableDiv.innerHTML = toTable(hmm.B, inv, Array.from({length:hmm.N},(_,i)=>`S${i}`), 4, "B");
+  }
+}
+
 // ---------- HMM Diagram ----------
+// One colour per state, distinct up to the maximum of 10 states.
 const STATE_COLORS = [
-  "#e97c2f", "#3b82f6", "#10b981", "#8b5cf6", "#ef4444", "#f59e0b",
+  "#e97c2f", "#3b82f6", "#10b981", "#8b5cf6", "#ef4444",
+  "#eab308", "#0891b2", "#ec4899", "#65a30d", "#64748b",
 ];
 
+// The model on show and where its states sit. `positions` belong to `key`
+// (layout and N) and persist across re-renders such as playback steps and
+// parameter edits, so dragged nodes stay put; a new model lays out afresh.
+const diagram = {hmm: null, symbolNames: null, key: "", positions: null, geom: null, drag: null, hover: null};
+
+function diagramLayout(N) {
+  const mode = diagramLayoutEl.value;
+  return mode === "auto" ? (N <= 5 ? "row" : "circle") : mode;
+}
+
+// Fruchterman–Reingold placement inside `box`, starting from `start`: every
+// pair of states repels, transition mass in either direction pulls two
+// states together and a weak pull to the centre keeps them off the edges.
+// Deterministic, so a model always gets the same picture.
+function forceLayout(A, start, box, iters=300, gravity=0.3) {
+  const N = start.length;
+  const pos = start.map(p => ({...p}));
+  const k = Math.sqrt((box.x1 - box.x0) * (box.y1 - box.y0) / N) * 0.6;
+  const cx = (box.x0 + box.x1) / 2, cy = (box.y0 + box.y1) / 2;
+  for (let it=0;it<iters;it++) {
+    const temp = k * (1 - it / iters);
+    const disp = pos.map(p => ({x: (cx - p.x) * gravity, y: (cy - p.y) * gravity}));
+    for (let i=0;i<N;i++) {
+      for (let j=i+1;j<N;j++) {
+        const dx = pos[i].x - pos[j].x, dy = pos[i].y - pos[j].y;
+        const dist = Math.max(Math.hypot(dx, dy), 1);
+        const f = k * k / dist - (A[i][j] + A[j][i]) * dist * dist / k;
+        disp[i].x += dx / dist * f; disp[i].y += dy / dist * f;
+        disp[j].x -= dx / dist * f; disp[j].y -= dy / dist * f;
+      }
+    }
+    for (let i=0;i<N;i++) {
+      const len = Math.hypot(disp[i].x, disp[i].y);
+      if (len > 0) {
+        const step = Math.min(len, temp);
+        pos[i].x += disp[i].x / len * step;
+        pos[i].y += disp[i].y / len * step;
+      }
+      pos[i].x = Math.max(box.x0, Math.min(box.x1, pos[i].x));
+      pos[i].y = Math.max(box.y0, Math.min(box.y1, pos[i].y));
+    }
+  }
+  return pos;
+}
+
 function renderHMMDiagram(hmm, symbolNames) {
-  const container = document.getElementById("diagram");
+  diagram.hmm = hmm;
+  diagram.symbolNames = symbolNames;
+  drawDiagram();
+}
+
+function drawDiagram() {
+  const container = diagramEl;
   container.innerHTML = "";
+  const {hmm, symbolNames} = diagram;
+  if (!hmm) return;
 
   const N = hmm.N;
-  const M = hmm.M;
+  const gaussian = hmm instanceof GaussianHMM;
+  const M = gaussian ? 0 : hmm.M;
   const A = hmm.A;
   const B = hmm.B;
   const pi = hmm.pi;
+  const threshold = Number(diagramThresholdEl.value);
+  const layout = diagramLayout(N);
 
   // Adaptive layout — node size and spacing scale with N so diagram never crowds
   const NODE_R     = Math.max(14, Math.min(24, Math.floor(180 / (N + 1))));
@@ -368,30 +560,52 @@ function renderHMMDiagram(hmm, symbolNames) {
   const MARGIN_LEFT  = 60;
   const MARGIN_RIGHT = 40;
 
-  // Ensure nodes are never closer than 3.6 radii apart (room for labels)
+  // In a row, nodes are never closer than 6 radii apart (room for labels)
   const minSpacing   = NODE_R * 6.0;
   const BASE_USABLE  = 1100;
-  const neededUsable = N > 1 ? (N - 1) * minSpacing : minSpacing;
+  const neededUsable = layout === "row" && N > 1 ? (N - 1) * minSpacing : minSpacing;
   const effectiveUsable = Math.max(BASE_USABLE, neededUsable);
   const W = MARGIN_LEFT + effectiveUsable + MARGIN_RIGHT;
 
-  const stateSpacing = N > 1 ? effectiveUsable / (N - 1) : 0;
-  const statePosX = Array.from({length: N}, (_, i) =>
-    N === 1 ? W / 2 : MARGIN_LEFT + i * stateSpacing);
-
-  // Obs nodes span same horizontal range as states
-  const obsUsable  = N > 1 ? (N - 1) * stateSpacing : effectiveUsable;
-  const obsSpacing = M > 1 ? obsUsable / (M - 1) : 0;
+  // Obs nodes span the full width
+  const obsSpacing = M > 1 ? effectiveUsable / (M - 1) : 0;
   const obsPosX    = Array.from({length: M}, (_, k) =>
     M === 1 ? W / 2 : MARGIN_LEFT + k * obsSpacing);
 
-  // Row Y centres — all derived from NODE_R
+  // Row Y centres — all derived from NODE_R. States live in the region
+  // between START and the observations; a circle needs room for its loops.
   const ROW_START  = 50;
-  const ROW_LOOP   = ROW_START + 70 + LOOP_H;
-  const ROW_STATE  = ROW_LOOP + NODE_R + 40;
-  const ROW_EMIT_L = ROW_STATE + NODE_R + 50;
+  const REGION_TOP = ROW_START + 40;
+  const RADIUS     = Math.max(110, N * NODE_R * 1.25);
+  const REGION_H   = layout === "row"
+    ? 30 + LOOP_H + 2 * NODE_R + 20
+    : 2 * (RADIUS + NODE_R + LOOP_H + 24);
+  const REGION_BOTTOM = REGION_TOP + REGION_H;
+  const ROW_EMIT_L = REGION_BOTTOM + 30;
   const ROW_OBS    = ROW_EMIT_L + 80;
-  const H          = ROW_OBS + 50;
+  const DENS_H     = gaussian ? 80 : 0;
+  const H          = ROW_OBS + 50 + DENS_H;
+
+  // ---- State positions ----
+  const centre = {x: W / 2, y: REGION_TOP + REGION_H / 2};
+  const bounds = {x0: MARGIN_LEFT, x1: W - MARGIN_RIGHT, y0: REGION_TOP + NODE_R, y1: REGION_BOTTOM - NODE_R - 16};
+  const key = `${layout}:${N}`;
+  if (!diagram.positions || diagram.key !== key) {
+    const stateSpacing = N > 1 ? effectiveUsable / (N - 1) : 0;
+    const circle = Array.from({length: N}, (_, i) => {
+      const a = -Math.PI / 2 + 2 * Math.PI * i / N;
+      return {x: centre.x + RADIUS * Math.cos(a), y: centre.y + RADIUS * Math.sin(a)};
+    });
+    diagram.positions =
+      layout === "row" ? Array.from({length: N}, (_, i) =>
+        ({x: N === 1 ? W / 2 : MARGIN_LEFT + i * stateSpacing, y: REGION_BOTTOM - NODE_R - 30}))
+      : layout === "circle" ? circle
+      : forceLayout(A, circle, {x0: bounds.x0 + NODE_R + LOOP_H, x1: bounds.x1 - NODE_R - LOOP_H,
+                                y0: bounds.y0 + LOOP_H, y1: bounds.y1 - 10});
+    diagram.key = key;
+  }
+  const pos = diagram.positions;
+  diagram.geom = {W, H, bounds};
 
   const svgNS = "http://www.w3.org/2000/svg";
   const svg = document.createElementNS(svgNS, "svg");
@@ -421,8 +635,16 @@ function renderHMMDiagram(hmm, symbolNames) {
     return e;
   }
 
+  // Group for one arrow and its label; `states` are the states it touches,
+  // which hovering uses to pick what to highlight.
+  function edgeGroup(...states) {
+    const g = el("g", {class: "diag-edge", "data-states": states.join(" ")});
+    svg.appendChild(g);
+    return g;
+  }
+
   // Draw text with a white pill behind it so it's always readable
-  function labelPill(x, y, str, color, size=11) {
+  function labelPill(parent, x, y, str, color, size=11) {
     const g = document.createElementNS(svgNS, "g");
     // measure approx width: ~6.5px per char at size 11
     const charW = size * 0.62;
@@ -448,7 +670,7 @@ function renderHMMDiagram(hmm, symbolNames) {
     txt.textContent = str;
     g.appendChild(pill);
     g.appendChild(txt);
-    svg.appendChild(g);
+    parent.appendChild(g);
   }
 
   function rowLabel(y, str) {
@@ -464,10 +686,15 @@ function renderHMMDiagram(hmm, symbolNames) {
     svg.appendChild(t);
   }
 
+  // Point on a quadratic bezier at parameter t
+  const bez = (t, a, c, b) => (1-t)*(1-t)*a + 2*(1-t)*t*c + t*t*b;
+
   // ---- Background row bands ----
+  const rowY = pos.reduce((s, p) => s + p.y, 0) / N;
   [ [ROW_START - 22, 44, "#f3f0ff22", "#7c3aed22"],
-    [ROW_STATE - NODE_R - 10, NODE_R*2+20, "#f8fafd", "#dde3ef"],
-    [ROW_OBS - 24, 48, "#f8fafd", "#dde3ef"],
+    layout === "row" ? [rowY - NODE_R - 10, NODE_R*2+20, "#f8fafd", "#dde3ef"]
+                     : [REGION_TOP, REGION_H, "#f8fafd", "#dde3ef"],
+    [ROW_OBS - 24, 48 + DENS_H, "#f8fafd", "#dde3ef"],
   ].forEach(([y, h, fill, stroke]) => {
     svg.appendChild(el("rect", {
       x: MARGIN_LEFT - 10, y,
@@ -477,7 +704,7 @@ function renderHMMDiagram(hmm, symbolNames) {
   });
 
   rowLabel(ROW_START, "START");
-  rowLabel(ROW_STATE, "HIDDEN");
+  rowLabel(layout === "row" ? rowY : centre.y, "HIDDEN");
   rowLabel(ROW_OBS,   "OBSERVE");
 
   // ---- START node ----
@@ -504,53 +731,63 @@ function renderHMMDiagram(hmm, symbolNames) {
 
   // ---- π arrows: START → states ----
   for (let i = 0; i < N; i++) {
-    if (pi[i] < 0.005) continue;
-    const x2 = statePosX[i];
+    if (pi[i] < threshold) continue;
     const y1 = startY + 16;
-    const y2 = ROW_STATE - NODE_R;
     // Control point: bias horizontally toward target
-    const cx = (startX * 0.3 + x2 * 0.7);
-    const cy = (y1 + y2) / 2;
-    const d = `M ${startX} ${y1} Q ${cx} ${cy} ${x2} ${y2}`;
-    svg.appendChild(el("path", {
-      d, fill: "none",
+    const cx = (startX * 0.3 + pos[i].x * 0.7);
+    const cy = (y1 + pos[i].y) / 2;
+    // End on the node's edge, facing the control point
+    const ang = Math.atan2(cy - pos[i].y, cx - pos[i].x);
+    const x2 = pos[i].x + Math.cos(ang) * NODE_R;
+    const y2 = pos[i].y + Math.sin(ang) * NODE_R;
+    const g = edgeGroup(i);
+    g.appendChild(el("path", {
+      d: `M ${startX} ${y1} Q ${cx} ${cy} ${x2} ${y2}`, fill: "none",
       stroke: "#7c3aed",
       "stroke-width": 1.6,
       "stroke-dasharray": "5 3",
       "marker-end": "url(#arr-pi)"
     }));
     // Label: place at 40% along the curve, offset left of the line
-    const t = 0.4;
-    const lx = (1-t)*(1-t)*startX + 2*(1-t)*t*cx + t*t*x2;
-    const ly = (1-t)*(1-t)*y1     + 2*(1-t)*t*cy + t*t*y2;
+    const lx = bez(0.4, startX, cx, x2);
+    const ly = bez(0.4, y1, cy, y2);
     // perpendicular nudge to the left of travel direction
     const dx = x2 - startX, dy = y2 - y1;
     const len = Math.hypot(dx, dy) || 1;
     const perpX = -dy/len * 18;  // left perpendicular
     const perpY =  dx/len * 18;
-    labelPill(lx + perpX, ly + perpY + 6, `π=${pi[i].toFixed(2)}`, "#7c3aed", 10);
+    labelPill(g, lx + perpX, ly + perpY + 6, `π=${pi[i].toFixed(2)}`, "#7c3aed", 10);
   }
 
   // ---- Self-loops ----
   for (let i = 0; i < N; i++) {
     const p = A[i][i];
-    if (p < 0.005) continue;
+    if (p < threshold) continue;
     const color = STATE_COLORS[i % STATE_COLORS.length];
-    const cx = statePosX[i];
-    const cy = ROW_STATE;
-    // Arc: departs top-left of circle, peaks at ROW_LOOP, returns top-right
-    const d = `M ${cx - NODE_R*0.7} ${cy - NODE_R*0.72}
-               C ${cx - NODE_R*2.2} ${cy - NODE_R - LOOP_H},
-                 ${cx + NODE_R*2.2} ${cy - NODE_R - LOOP_H},
-                 ${cx + NODE_R*0.7} ${cy - NODE_R*0.72}`;
-    svg.appendChild(el("path", {
+    const {x: cx, y: cy} = pos[i];
+    // Loops point up in a row and away from the centre otherwise; (a, b)
+    // below are coordinates across and along that direction.
+    let ux = 0, uy = -1;
+    if (layout !== "row") {
+      const d = Math.hypot(cx - centre.x, cy - centre.y);
+      if (d > 1) { ux = (cx - centre.x) / d; uy = (cy - centre.y) / d; }
+    }
+    const at = (a, b) => `${cx - uy*a + ux*b} ${cy + ux*a + uy*b}`;
+    // Arc: departs one side of the circle, peaks LOOP_H out, returns on the other
+    const d = `M ${at(-NODE_R*0.7, NODE_R*0.72)}
+               C ${at(-NODE_R*2.2, NODE_R + LOOP_H)},
+                 ${at(NODE_R*2.2, NODE_R + LOOP_H)},
+                 ${at(NODE_R*0.7, NODE_R*0.72)}`;
+    const g = edgeGroup(i);
+    g.appendChild(el("path", {
       d, fill: "none",
       stroke: color + "cc",
       "stroke-width": 1.8,
-      "marker-end": `url(#arr-t${i})`
+      "marker-end": `url(#arr-t${i % STATE_COLORS.length})`
     }));
-    // Label at apex — always above the arc
-    labelPill(cx, cy - NODE_R - LOOP_H - 10, p.toFixed(2), color, 11);
+    // Label beyond the apex
+    const out = NODE_R + LOOP_H * 0.75 + 12;
+    labelPill(g, cx + ux*out, cy + uy*out + 4, p.toFixed(2), color, 11);
   }
 
   // ---- Transition arrows (i ≠ j) ----
@@ -558,88 +795,135 @@ function renderHMMDiagram(hmm, symbolNames) {
     for (let j = 0; j < N; j++) {
       if (i === j) continue;
       const p = A[i][j];
-      if (p < 0.005) continue;
+      if (p < threshold) continue;
 
       const color = STATE_COLORS[i % STATE_COLORS.length];
-      const x1 = statePosX[i];
-      const x2 = statePosX[j];
-      const y  = ROW_STATE;
-
-      // Offset the arrow edge to the circle boundary
-      const angle = Math.atan2(0, x2 - x1);
-      const sx = x1 + Math.cos(angle) * NODE_R;
-      const ex = x2 - Math.cos(angle) * NODE_R;
-
-      // Curve above (i<j) or below (i>j) to separate bidirectional arrows
-      const bulge = i < j ? -40 : 40;
-      const mx = (sx + ex) / 2;
-      const my = y + bulge;
-
-      const d = `M ${sx} ${y} Q ${mx} ${my} ${ex} ${y}`;
-      svg.appendChild(el("path", {
-        d, fill: "none",
+      const a = pos[i], b = pos[j];
+      const dist = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+
+      // Bend to the right of travel so i→j and j→i separate (above when
+      // going right in a row, below when going left)
+      const nx = (b.y - a.y) / dist, ny = -(b.x - a.x) / dist;
+      const bend = Math.min(80, 40 + dist * 0.05);
+      const mx = (a.x + b.x) / 2 + nx * bend;
+      const my = (a.y + b.y) / 2 + ny * bend;
+
+      // Offset the arrow ends to the circle boundaries, facing the control point
+      const a1 = Math.atan2(my - a.y, mx - a.x), a2 = Math.atan2(my - b.y, mx - b.x);
+      const sx = a.x + Math.cos(a1) * NODE_R, sy = a.y + Math.sin(a1) * NODE_R;
+      const ex = b.x + Math.cos(a2) * NODE_R, ey = b.y + Math.sin(a2) * NODE_R;
+
+      const g = edgeGroup(i, j);
+      g.appendChild(el("path", {
+        d: `M ${sx} ${sy} Q ${mx} ${my} ${ex} ${ey}`, fill: "none",
         stroke: color + "aa",
         "stroke-width": 1.7,
-        "marker-end": `url(#arr-t${i})`
+        "marker-end": `url(#arr-t${i % STATE_COLORS.length})`
       }));
 
-      // Label at bezier midpoint, pushed away from the curve
-      const t = 0.5;
-      const qx = (1-t)*(1-t)*sx + 2*(1-t)*t*mx + t*t*ex;
-      const qy = (1-t)*(1-t)*y  + 2*(1-t)*t*my + t*t*y;
-      // Offset label further from curve apex
-      const labelOffY = bulge < 0 ? -14 : 14;
-      labelPill(qx, qy + labelOffY, p.toFixed(2), color, 11);
+      // Label at bezier midpoint, pushed further out from the curve
+      labelPill(g, bez(0.5, sx, mx, ex) + nx * 14, bez(0.5, sy, my, ey) + ny * 14 + 4,
+                p.toFixed(2), color, 11);
+    }
+  }
+
+  // ---- Gaussian emissions: one density per state over a shared value axis ----
+  const range = gaussian ? gaussianRange(hmm) : null;
+  const densX = v => MARGIN_LEFT + (v - range.lo) / (range.hi - range.lo) * effectiveUsable;
+  const DENS_TOP  = ROW_OBS - 20;
+  const DENS_BASE = ROW_OBS + DENS_H;
+  if (gaussian) {
+    const peak = Math.max(...hmm.vars.map(v => gaussianPdf(0, 0, v)));
+    for (let i = 0; i < N; i++) {
+      const color = STATE_COLORS[i % STATE_COLORS.length];
+      const d = densityPath(hmm.means[i], hmm.vars[i], range, MARGIN_LEFT, effectiveUsable,
+                            DENS_BASE, DENS_BASE - DENS_TOP - 6, peak);
+      edgeGroup(i).appendChild(el("path", {
+        d: `${d} L ${MARGIN_LEFT + effectiveUsable} ${DENS_BASE} L ${MARGIN_LEFT} ${DENS_BASE} Z`,
+        fill: color + "22", stroke: color, "stroke-width": 1.8
+      }));
+    }
+    svg.appendChild(el("line", {
+      x1: MARGIN_LEFT, y1: DENS_BASE, x2: MARGIN_LEFT + effectiveUsable, y2: DENS_BASE,
+      stroke: "#c4cfe0", "stroke-width": 1.5
+    }));
+    [range.lo, (range.lo + range.hi) / 2, range.hi].forEach((v, k) => {
+      const tick = el("text", {
+        x: densX(v), y: DENS_BASE + 16,
+        fill: "#6b7a99",
+        "font-size": 10,
+        "font-family": "'IBM Plex Mono', monospace",
+        "text-anchor": ["start", "middle", "end"][k]
+      });
+      tick.textContent = v.toFixed(2);
+      svg.appendChild(tick);
+    });
+
+    for (let i = 0; i < N; i++) {
+      const color = STATE_COLORS[i % STATE_COLORS.length];
+      const x1 = pos[i].x;
+      const y1 = pos[i].y + NODE_R;
+      const x2 = densX(hmm.means[i]);
+      const y2 = DENS_TOP;
+      const mx = (x1 + x2) / 2;
+      const my = ROW_EMIT_L;
+      const g = edgeGroup(i);
+      g.appendChild(el("path", {
+        d: `M ${x1} ${y1} Q ${mx} ${my} ${x2} ${y2}`, fill: "none",
+        stroke: color + "66",
+        "stroke-width": 1.4,
+        "stroke-dasharray": "5 3",
+        "marker-end": `url(#arr-e${i % STATE_COLORS.length})`
+      }));
+      const sideX = x2 >= x1 ? 16 : -16;
+      labelPill(g, bez(0.42, x1, mx, x2) + sideX, bez(0.42, y1, my, y2),
+        `μ=${hmm.means[i].toFixed(2)} σ=${Math.sqrt(hmm.vars[i]).toFixed(2)}`, color, 10);
     }
   }
 
   // ---- Emission arrows (state → obs box), dashed ----
-  for (let i = 0; i < N; i++) {
+  for (let i = 0; i < N && !gaussian; i++) {
     const color = STATE_COLORS[i % STATE_COLORS.length];
     for (let k = 0; k < M; k++) {
       const p = B[i][k];
-      if (p < 0.02) continue;
+      if (p < threshold) continue;
 
-      const x1 = statePosX[i];
-      const y1 = ROW_STATE + NODE_R;
+      const x1 = pos[i].x;
+      const y1 = pos[i].y + NODE_R;
       const x2 = obsPosX[k];
       const y2 = ROW_OBS - 20;
 
       // Straight-ish path with slight S-curve
       const mx = (x1 + x2) / 2;
       const my = ROW_EMIT_L;
-      const d = `M ${x1} ${y1} Q ${mx} ${my} ${x2} ${y2}`;
-      svg.appendChild(el("path", {
-        d, fill: "none",
+      const g = edgeGroup(i);
+      g.appendChild(el("path", {
+        d: `M ${x1} ${y1} Q ${mx} ${my} ${x2} ${y2}`, fill: "none",
         stroke: color + "66",
         "stroke-width": 1.4,
         "stroke-dasharray": "5 3",
-        "marker-end": `url(#arr-e${i})`
+        "marker-end": `url(#arr-e${i % STATE_COLORS.length})`
       }));
 
-      // Label at ~40% along curve, nudged sideways
-      const t2 = 0.42;
-      const lx2 = (1-t2)*(1-t2)*x1 + 2*(1-t2)*t2*mx + t2*t2*x2;
-      const ly2 = (1-t2)*(1-t2)*y1 + 2*(1-t2)*t2*my + t2*t2*y2;
-      // push label to the side of the arrow
+      // Label at ~40% along curve, pushed to the side of the arrow
       const sideX = x2 >= x1 ? 16 : -16;
-      labelPill(lx2 + sideX, ly2, p.toFixed(2), color, 10);
+      labelPill(g, bez(0.42, x1, mx, x2) + sideX, bez(0.42, y1, my, y2), p.toFixed(2), color, 10);
     }
   }
 
   // ---- Draw state nodes (on top so they cover arrow ends) ----
   for (let i = 0; i < N; i++) {
-    const x = statePosX[i];
-    const y = ROW_STATE;
+    const {x, y} = pos[i];
     const color = STATE_COLORS[i % STATE_COLORS.length];
+    const g = el("g", {class: "diag-node", "data-node": i});
 
     // Drop shadow
-    svg.appendChild(el("circle", {
+    g.appendChild(el("circle", {
       cx: x+2, cy: y+3, r: NODE_R,
       fill: "rgba(0,0,0,0.08)"
     }));
     // Circle
-    svg.appendChild(el("circle", {
+    g.appendChild(el("circle", {
       cx: x, cy: y, r: NODE_R,
       fill: color,
       stroke: "#fff",
@@ -655,22 +939,26 @@ function renderHMMDiagram(hmm, symbolNames) {
       "font-weight": "700"
     });
     lbl.textContent = `S${i}`;
-    svg.appendChild(lbl);
+    g.appendChild(lbl);
 
     // Best-emission hint below node
-    if (symbolNames && symbolNames.length > 0) {
+    const hint = el("text", {
+      x, y: y + NODE_R + 16,
+      fill: color,
+      "font-size": 10,
+      "font-family": "'IBM Plex Mono', monospace",
+      "text-anchor": "middle"
+    });
+    if (gaussian) {
+      hint.textContent = `μ=${hmm.means[i].toFixed(2)}`;
+      g.appendChild(hint);
+    } else if (symbolNames && symbolNames.length > 0) {
       let bestK = 0;
       for (let k = 1; k < M; k++) if (B[i][k] > B[i][bestK]) bestK = k;
-      const hint = el("text", {
-        x, y: y + NODE_R + 16,
-        fill: color,
-        "font-size": 10,
-        "font-family": "'IBM Plex Mono', monospace",
-        "text-anchor": "middle"
-      });
       hint.textContent = `↑${symbolNames[bestK]}(${B[i][bestK].toFixed(2)})`;
-      svg.appendChild(hint);
+      g.appendChild(hint);
     }
+    svg.appendChild(g);
   }
 
   // ---- Observation boxes ----
@@ -704,53 +992,1790 @@ function renderHMMDiagram(hmm, symbolNames) {
     svg.appendChild(lbl);
   }
 
+  // ---- Caption: constraints and hidden edges ----
+  const parts = [];
+  const cons = hmm.constraints;
+  if (cons) {
+    if (cons.topology === "left-right") parts.push(`left-to-right, max jump ${cons.maxJump}`);
+    const zeros = cons.zerosA + cons.zerosB;
+    if (zeros) parts.push(`${zeros} structural zero${zeros === 1 ? "" : "s"}`);
+    const frozen = ["pi", "A", "B"].filter(k => cons.freeze[k]).map(k => k === "pi" ? "π" : k);
+    if (frozen.length) parts.push(`🔒 frozen: ${frozen.join(", ")}`);
+  }
+  if (threshold > 0) parts.push(`arrows below ${threshold.toFixed(3)} hidden`);
+  if (parts.length) {
+    const cap = el("text", {
+      x: W - MARGIN_RIGHT, y: 16,
+      fill: "#64748b",
+      "font-size": 11,
+      "font-family": "'IBM Plex Mono', monospace",
+      "text-anchor": "end"
+    });
+    cap.textContent = parts.join(" · ");
+    svg.appendChild(cap);
+  }
+
   container.appendChild(svg);
+  if (diagram.hover !== null) highlightState(diagram.hover);
 }
 
-// ---------- Train ----------
-trainBtn.addEventListener("click", () => {
-  statusEl.textContent = "Training…";
-  trainBtn.disabled = true;
-
-  setTimeout(() => {
-    const raw = obsEl.value.trim();
-    const symbols = raw.split(/\s+/).filter(Boolean);
-    if (symbols.length === 0) {
-      statusEl.textContent = "⚠ Please enter an observation sequence.";
-      trainBtn.disabled = false;
-      return;
+// Dims everything except state i, its transitions in and out, its emissions
+// and the states it connects to; null clears the highlight.
+function highlightState(i) {
+  diagram.hover = i;
+  const svg = diagramEl.querySelector("svg");
+  if (!svg) return;
+  svg.classList.toggle("focus", i !== null);
+  const linked = new Set([String(i)]);
+  svg.querySelectorAll(".diag-edge").forEach(g => {
+    const states = g.dataset.states.split(" ");
+    const on = i !== null && states.includes(String(i));
+    g.classList.toggle("hl", on);
+    if (on) states.forEach(s => linked.add(s));
+  });
+  svg.querySelectorAll(".diag-node").forEach(g => g.classList.toggle("hl", linked.has(g.dataset.node)));
+}
+
+// Pointer position in diagram coordinates.
+function diagramPoint(e) {
+  const svg = diagramEl.querySelector("svg");
+  const rect = svg.getBoundingClientRect();
+  const {W, H} = diagram.geom;
+  return {
+    x: (e.clientX - rect.left) * (rect.width ? W / rect.width : 1),
+    y: (e.clientY - rect.top) * (rect.height ? H / rect.height : 1),
+  };
+}
+
+diagramEl.addEventListener("pointerdown", e => {
+  const node = e.target.closest(".diag-node");
+  if (!node) return;
+  e.preventDefault();
+  const i = Number(node.dataset.node);
+  const p = diagramPoint(e);
+  diagram.drag = {i, dx: diagram.positions[i].x - p.x, dy: diagram.positions[i].y - p.y};
+  highlightState(i);
+});
+
+window.addEventListener("pointermove", e => {
+  if (!diagram.drag) return;
+  const {i, dx, dy} = diagram.drag;
+  const {bounds} = diagram.geom;
+  const p = diagramPoint(e);
+  diagram.positions[i] = {
+    x: Math.max(bounds.x0, Math.min(bounds.x1, p.x + dx)),
+    y: Math.max(bounds.y0, Math.min(bounds.y1, p.y + dy)),
+  };
+  drawDiagram();
+});
+
+window.addEventListener("pointerup", () => {
+  if (!diagram.drag) return;
+  diagram.drag = null;
+  highlightState(null);
+});
+
+diagramEl.addEventListener("pointerover", e => {
+  if (diagram.drag) return;
+  const node = e.target.closest(".diag-node");
+  highlightState(node ? Number(node.dataset.node) : null);
+});
+diagramEl.addEventListener("pointerleave", () => { if (!diagram.drag) highlightState(null); });
+
+function resetDiagramLayout() {
+  diagram.positions = null;
+  drawDiagram();
+}
+
+diagramLayoutEl.addEventListener("change", resetDiagramLayout);
+diagramResetBtn.addEventListener("click", resetDiagramLayout);
+diagramThresholdEl.addEventListener("input", () => {
+  diagramThresholdLabel.textContent = Number(diagramThresholdEl.value).toFixed(3);
+  drawDiagram();
+});
+
+function renderParams(hmm, inv) {
+  piTableDiv.innerHTML = vecToTable(hmm.pi, 4, "pi");
+  aTableDiv.innerHTML = toTable(hmm.A, null, null, 4, "A");
+  renderEmissions(hmm, inv);
+  renderHMMDiagram(hmm, inv);
+}
+
+// ---------- Playback ----------
+// Steps through the per-iteration snapshots recorded in training. Position k
+// shows the parameters that produced loglikHist[k]; the last position is the
+// final model.
+const PLAY_INTERVAL_MS = 450;
+let playback = null;
+
+function loadPlayback(hmm, inv, loglikHist, snapshots, overlays=[], objective="log-lik") {
+  stopPlayback();
+  playback = {hmm, inv, loglikHist, snapshots, overlays, objective};
+  iterSlider.max = snapshots.length - 1;
+  const single = snapshots.length < 2;
+  iterSlider.disabled = single;
+  [playBtn, stepBackBtn, stepBtn].forEach(b => b.disabled = single);
+  showIteration(snapshots.length - 1);
+}
+
+function showIteration(k) {
+  if (!playback) return;
+  const {hmm, inv, loglikHist, snapshots, overlays, objective} = playback;
+  const last = snapshots.length - 1;
+  k = Math.max(0, Math.min(last, k));
+  playback.pos = k;
+  iterSlider.value = k;
+  playback.shown = hmm.withSnapshot(snapshots[k]);
+  renderParams(playback.shown, inv);
+  drawChart(loglikHist, Math.min(k, loglikHist.length - 1), overlays);
+  iterLabel.textContent = k === last
+    ? (loglikHist.length ? `Final parameters (after ${loglikHist.length} iterations)` : "Final parameters")
+    : `${k === 0 ? "Initial parameters" : `Iteration ${k}`} · ${objective} ${loglikHist[k].toFixed(3)}`;
+}
+
+function stopPlayback() {
+  if (playback && playback.timer) {
+    clearInterval(playback.timer);
+    playback.timer = null;
+  }
+  playBtn.textContent = "▶ Play";
+}
+
+playBtn.addEventListener("click", () => {
+  if (!playback) return;
+  if (playback.timer) { stopPlayback(); return; }
+  if (playback.pos >= playback.snapshots.length - 1) showIteration(0);
+  playBtn.textContent = "⏸ Pause";
+  playback.timer = setInterval(() => {
+    if (playback.pos >= playback.snapshots.length - 1) { stopPlayback(); return; }
+    showIteration(playback.pos + 1);
+  }, PLAY_INTERVAL_MS);
+});
+
+stepBackBtn.addEventListener("click", () => { stopPlayback(); showIteration(playback.pos - 1); });
+stepBtn.addEventListener("click", () => { stopPlayback(); showIteration(playback.pos + 1); });
+iterSlider.addEventListener("input", () => { stopPlayback(); showIteration(Number(iterSlider.value)); });
+
+// ---------- Posterior decoding ----------
+// The model and data the decoding panel reads from. `view` holds the
+// selected sequence's forward–backward lattice (see HMM.forwardBackward) and
+// both decoded paths, computed once per model and sequence.
+let decoding = null;
+// Time steps shown at once in the gamma heatmap and the lattice tables;
+// longer sequences scroll, so only the visible columns are built.
+const HEATMAP_WINDOW = 100;
+
+// The selected sequence and the scroll windows are kept when only the model
+// changes, e.g. after editing a parameter.
+function loadDecoding(hmm, seqs, labels) {
+  const same = decoding && decoding.seqs === seqs;
+  const k = same ? seqPickEl.value : "0";
+  decoding = {hmm, seqs, labels};
+  seqPickEl.innerHTML = seqs.map((O, k) => `<option value="${k}">Sequence ${k+1} (T=${O.length})</option>`).join("");
+  seqPickEl.hidden = seqs.length < 2;
+  seqPickEl.value = k;
+  if (!same) trellisStartEl.value = postStartEl.value = 0;
+  renderDecoding();
+}
+
+// Runs forward–backward and Viterbi on the selected sequence and renders the
+// three views that read from them.
+function renderDecoding() {
+  if (!decoding) return;
+  const k = Number(seqPickEl.value) || 0;
+  const {hmm} = decoding;
+  const O = decoding.seqs[k];
+  const T = O.length;
+  const fb = hmm.forwardBackward(O);
+  const vit = hmm.viterbi(O);
+  const post = hmm.posteriorDecode(O, fb);
+  let conf = 0, agree = 0;
+  for (let t=0;t<T;t++) {
+    conf += latticeGamma(fb, t)[post[t]];
+    if (vit[t] === post[t]) agree++;
+  }
+  decoding.view = {O, labels: decoding.labels[k], fb, vit, post, agree, conf: conf / T};
+  renderPosteriorTable();
+  renderTrellis();
+  renderLattice();
+}
+
+// Sets up a range input that scrolls a `size`-step window over T steps and
+// returns the window [t0, t1).
+function scrollWindow(el, T, size) {
+  el.hidden = T <= size;
+  el.max = Math.max(0, T - size);
+  const t0 = Math.min(Number(el.value) || 0, Math.max(0, T - size));
+  return [t0, Math.min(T, t0 + size)];
+}
+
+// Time × state heatmap of gamma under the observations, with the Viterbi and
+// max-marginal paths below it; columns where the two disagree are flagged.
+function renderPosteriorTable() {
+  const {fb, labels, vit, post, agree, conf} = decoding.view;
+  const T = fb.T, N = fb.N;
+  const [t0, t1] = scrollWindow(postStartEl, T, HEATMAP_WINDOW);
+  const gamma = [];
+  for (let t=t0;t<t1;t++) gamma.push(latticeGamma(fb, t));
+
+  let html = `<table class="heatmap"><thead><tr><th>t</th>`;
+  for (let t=t0;t<t1;t++) html += `<th class="${vit[t] !== post[t] ? "disagree" : ""}" title="t=${t}">${escapeHTML(labels[t])}</th>`;
+  html += `</tr></thead><tbody>`;
+  for (let i=0;i<N;i++) {
+    const color = STATE_COLORS[i % STATE_COLORS.length];
+    html += `<tr><th style="color:${color}">S${i}</th>`;
+    for (let t=t0;t<t1;t++) {
+      const g = gamma[t - t0][i];
+      const alpha = Math.round(g * 230).toString(16).padStart(2, "0");
+      html += `<td style="background:${color}${alpha};color:${g > 0.6 ? "#fff" : "var(--text)"}" title="P(S${i} at t=${t}) = ${g.toFixed(4)}">${g.toFixed(2)}</td>`;
+    }
+    html += `</tr>`;
+  }
+  [["Viterbi", vit], ["Posterior", post]].forEach(([name, path]) => {
+    html += `<tr class="decode-row"><th>${name}</th>`;
+    for (let t=t0;t<t1;t++) {
+      const color = STATE_COLORS[path[t] % STATE_COLORS.length];
+      html += `<td class="${vit[t] !== post[t] ? "disagree" : ""}" style="color:${color}">S${path[t]}</td>`;
     }
+    html += `</tr>`;
+  });
+  html += `</tbody></table>`;
+  postOut.innerHTML = html;
+
+  postSummary.textContent =
+    `Viterbi and posterior decoding agree at ${agree}/${T} positions · ` +
+    `mean max-posterior confidence ${conf.toFixed(3)}` +
+    (T > HEATMAP_WINDOW ? ` · showing t=${t0}…${t1 - 1}` : "");
+}
+
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"]/g, ch => ({"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;"}[ch]));
+}
+
+seqPickEl.addEventListener("change", () => { trellisStartEl.value = postStartEl.value = 0; renderDecoding(); });
+postStartEl.addEventListener("input", () => { if (decoding) renderPosteriorTable(); });
+
+// ---------- Viterbi trellis ----------
+const TRELLIS_WINDOW = 24;   // time steps drawn at once; longer sequences scroll
+let trellis = null;
+
+// States × time grid of Viterbi log scores δ_t(j) for the decoded sequence.
+// Grey arrows are backpointers, the decoded path is drawn in state colours,
+// and hovering a cell explains the max that produced it. Only the visible
+// window of the trellis is kept, plus the column before it.
+function renderTrellis() {
+  const {hmm} = decoding;
+  const {O, labels} = decoding.view;
+  const T = O.length, N = hmm.N;
+  const [t0, t1] = scrollWindow(trellisStartEl, T, TRELLIS_WINDOW);
+  const from = Math.max(0, t0 - 1);
+  const vt = hmm.viterbiWindow(O, from, t1);
+  const {path} = vt;
+  const dp = t => vt.dp[t - from], back = t => vt.back[t - from];
+  trellis = {...vt, from, labels, t0};
+
+  const CELL_W = 62, CELL_H = 30, COL = 96, ROW = 52, LEFT = 44, TOP = 44;
+  const W = LEFT + (t1 - t0 - 1) * COL + CELL_W + 16;
+  const H = TOP + (N - 1) * ROW + CELL_H + 12;
+  const cx = t => LEFT + (t - t0) * COL + CELL_W / 2;
+  const cy = i => TOP + i * ROW + CELL_H / 2;
+
+  let svg = `<svg viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" class="trellis">`;
+  svg += `<defs>${STATE_COLORS.map((c, i) => `<marker id="trel-${i}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="5" markerHeight="5" orient="auto"><path d="M0,1 L10,5 L0,9 Z" fill="${c}"/></marker>`).join("")}` +
+         `<marker id="trel-back" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="5" markerHeight="5" orient="auto"><path d="M0,1 L10,5 L0,9 Z" fill="#b0bcd4"/></marker></defs>`;
+  for (let t=t0;t<t1;t++) {
+    svg += `<text x="${cx(t)}" y="14" class="trellis-t">t=${t}</text>` +
+           `<text x="${cx(t)}" y="30" class="trellis-obs">${escapeHTML(labels[t])}</text>`;
+  }
+  for (let i=0;i<N;i++) {
+    svg += `<text x="8" y="${cy(i) + 4}" class="trellis-state" fill="${STATE_COLORS[i % STATE_COLORS.length]}">S${i}</text>`;
+  }
+  // Backpointers: each cell points back to its best predecessor.
+  const edge = (t, j, i, cls, marker, stroke="") =>
+    `<line x1="${cx(t) - CELL_W / 2}" y1="${cy(j)}" x2="${cx(t - 1) + CELL_W / 2}" y2="${cy(i)}" ` +
+    `class="${cls}"${stroke ? ` stroke="${stroke}"` : ""} marker-end="url(#${marker})"/>`;
+  for (let t=Math.max(t0, 1);t<t1;t++)
+    for (let j=0;j<N;j++) if (path[t] !== j) svg += edge(t, j, back(t)[j], "trellis-back", "trel-back");
+  for (let t=Math.max(t0, 1);t<t1;t++) {
+    const c = path[t] % STATE_COLORS.length;
+    svg += edge(t, path[t], path[t-1], "trellis-path", `trel-${c}`, STATE_COLORS[c]);
+  }
+  svg += `<g class="trellis-cands"></g>`;
+  for (let t=t0;t<t1;t++)
+    for (let i=0;i<N;i++) {
+      const color = STATE_COLORS[i % STATE_COLORS.length];
+      const onPath = path[t] === i;
+      svg += `<g class="trellis-cell" data-t="${t}" data-i="${i}">` +
+             `<rect x="${cx(t) - CELL_W / 2}" y="${cy(i) - CELL_H / 2}" width="${CELL_W}" height="${CELL_H}" rx="6" ` +
+             `fill="${onPath ? color + "33" : "#fff"}" stroke="${onPath ? color : "#dde3ef"}" stroke-width="${onPath ? 2 : 1}"/>` +
+             `<text x="${cx(t)}" y="${cy(i) + 4}">${dp(t)[i].toFixed(2)}</text></g>`;
+    }
+  svg += `</svg>`;
+  trellisOut.innerHTML = svg;
+  trellis.geom = {cx, cy, CELL_W};
+  trellisInfo.textContent = `Viterbi log score of the best path: ${vt.score.toFixed(3)}. Hover a cell to see how it was computed.` +
+    (T > TRELLIS_WINDOW ? ` Showing t=${t0}…${t1 - 1} of ${T}.` : "");
+}
 
-    const N = Number(nStatesEl.value);
-    const maxIter = Number(nIterEl.value);
-    const tol = Number(tolEl.value);
-    const seed = Number(seedEl.value);
-    const initMode = initModeEl.value;
+// Explains δ_t(j): log π_j + log b_j(o_0) at t=0, otherwise the max over
+// predecessors i of δ_{t−1}(i) + log a_ij, plus log b_j(o_t). Candidate
+// edges from the visible previous column are drawn while hovering.
+function explainTrellisCell(t, j) {
+  const {logpi, logA, labels, t0, from, geom} = trellis;
+  const dp = t => trellis.dp[t - from], logB = t => trellis.logB[t - from];
+  const cands = trellisOut.querySelector(".trellis-cands");
+  const fmt = x => x.toFixed(2);
+  const obs = `log b${j}(${labels[t]})`;
+  if (t === 0) {
+    cands.innerHTML = "";
+    trellisInfo.textContent = `δ0(S${j}) = log π${j} + ${obs} = ${fmt(logpi[j])} + ${fmt(logB(t)[j])} = ${fmt(dp(t)[j])}`;
+    return;
+  }
+  const scores = dp(t-1).map((d, i) => d + logA[i][j]);
+  const best = argmax(scores);
+  const terms = scores.map((s, i) => `S${i}: ${fmt(dp(t-1)[i])} + ${fmt(logA[i][j])} = ${fmt(s)}${i === best ? " ← max" : ""}`);
+  trellisInfo.textContent = `δ${t}(S${j}) = max over i of [δ${t-1}(i) + log a(i→${j})] + ${obs}\n  ` +
+    `${terms.join("\n  ")}\n  = ${fmt(scores[best])} + ${fmt(logB(t)[j])} = ${fmt(dp(t)[j])}`;
+  const {cx, cy, CELL_W} = geom;
+  cands.innerHTML = t - 1 < t0 ? "" : scores.map((s, i) =>
+    `<line x1="${cx(t-1) + CELL_W / 2}" y1="${cy(i)}" x2="${cx(t) - CELL_W / 2}" y2="${cy(j)}" ` +
+    `class="${i === best ? "trellis-cand best" : "trellis-cand"}"/>`).join("");
+}
 
-    const {vocab, inv} = buildVocab(symbols);
-    const O = toIntSeq(symbols, vocab);
-    const M = inv.length;
+trellisOut.addEventListener("mouseover", e => {
+  const cell = e.target.closest(".trellis-cell");
+  if (cell && trellis) explainTrellisCell(Number(cell.dataset.t), Number(cell.dataset.i));
+});
+
+trellisStartEl.addEventListener("input", () => { if (decoding) renderTrellis(); });
+
+// ---------- Forward/backward lattice ----------
+let lattice = null;
+
+// Alpha and beta lattices of the E-step for the decoded sequence, scaled (as
+// computed) or unscaled, the scaling factors c[t], and xi at one time step.
+// The tables show HEATMAP_WINDOW steps around xi's step, and xi is computed
+// for that step alone.
+function renderLattice() {
+  const {O, labels, fb} = decoding.view;
+  const T = O.length;
+  lattice = {O, labels, fb, t0: 0};
+
+  xiTEl.max = Math.max(0, T - 2);
+  xiTEl.disabled = T < 2;
+  if (Number(xiTEl.value) > T - 2) xiTEl.value = 0;
+
+  const c = Array.from(fb.c.subarray(0, T));
+  drawLineChart(scaleChart, c.map((_, t) => t), [
+    {label: "c[t]", color: "#7c3aed", values: c},
+  ], {xLabel: "t", maxTicks: 12, dots: T <= HEATMAP_WINDOW});
+  scaleSummary.textContent = `log P(O) = Σ log c[t] = ${fb.loglik.toFixed(4)} · c[t] = P(o_t | o_0…o_{t−1}), the normalizer that keeps each α̂ column summing to 1.`;
+  renderLatticeTables();
+  renderXi();
+}
 
-    const hmm = new DiscreteHMM(N, M, seed, initMode);
-    const {loglikHist} = hmm.baumWelch(O, maxIter, tol);
-    const path = hmm.viterbi(O);
+// Formats exp(logv) without underflow, e.g. -230.2 → "1.00e-100".
+function formatLogValue(logv) {
+  if (logv === -Infinity) return "0";
+  const l10 = logv / Math.LN10;
+  let e = Math.floor(l10), m = Math.pow(10, l10 - e);
+  if (m >= 9.995) { m /= 10; e++; }   // would round up to "10.00"
+  return `${m.toFixed(2)}e${e}`;
+}
 
-    piTableDiv.innerHTML = vecToTable(hmm.pi);
-    aTableDiv.innerHTML = toTable(hmm.A);
-    bTableDiv.innerHTML = toTable(hmm.B, inv, Array.from({length:N},(_,i)=>`S${i}`));
+// Cell shading is the column-normalized value in both views, so it shows
+// the state distribution at t whatever the magnitude of the raw numbers.
+// `scaled` and `logs` hold the rows from t0 on.
+function latticeTable(scaled, logs, labels, t0) {
+  const N = scaled.length ? scaled[0].length : 0, t1 = t0 + scaled.length;
+  const xiT = Number(xiTEl.value);
+  let html = `<table class="heatmap lattice"><thead><tr><th>t</th>`;
+  for (let t=t0;t<t1;t++) html += `<th data-t="${t}" title="t=${t}" class="${t === xiT || t === xiT + 1 ? "xi-col" : ""}">${escapeHTML(labels[t])}</th>`;
+  html += `</tr></thead><tbody>`;
+  for (let i=0;i<N;i++) {
+    const color = STATE_COLORS[i % STATE_COLORS.length];
+    html += `<tr><th style="color:${color}">S${i}</th>`;
+    for (let t=t0;t<t1;t++) {
+      const row = scaled[t - t0];
+      const sum = row.reduce((a, b) => a + b, 0) || 1;
+      const g = row[i] / sum;
+      const shade = Math.round(g * 230).toString(16).padStart(2, "0");
+      const text = logs ? formatLogValue(logs[t - t0][i]) : row[i].toFixed(3);
+      html += `<td data-t="${t}" style="background:${color}${shade};color:${g > 0.6 ? "#fff" : "var(--text)"}">${text}</td>`;
+    }
+    html += `</tr>`;
+  }
+  return html + `</tbody></table>`;
+}
 
-    obsOut.textContent = JSON.stringify({
-      symbols,
+// Re-centres the window on xi's step once either of its columns leaves it.
+function renderLatticeTables() {
+  const {fb, labels} = lattice;
+  const T = fb.T, N = fb.N, xiT = Number(xiTEl.value);
+  if (xiT < lattice.t0 || xiT + 1 >= lattice.t0 + HEATMAP_WINDOW)
+    lattice.t0 = Math.max(0, Math.min(T - HEATMAP_WINDOW, xiT - HEATMAP_WINDOW / 2));
+  const t0 = lattice.t0, t1 = Math.min(T, t0 + HEATMAP_WINDOW);
+  const rows = flat => Array.from({length: t1 - t0}, (_, k) => Array.from(flat.subarray((t0 + k) * N, (t0 + k + 1) * N)));
+  const logs = latticeUnscaledEl.checked ? unscaledLogLattices(fb, t0, t1) : {};
+  alphaOut.innerHTML = latticeTable(rows(fb.alpha), logs.logAlpha, labels, t0);
+  betaOut.innerHTML = latticeTable(rows(fb.beta), logs.logBeta, labels, t0);
+}
+
+// xi_t(i, j) = P(q_t = i, q_{t+1} = j | O); its rows sum to gamma_t(i).
+function renderXi() {
+  const {fb, O, labels} = lattice;
+  if (O.length < 2) {
+    xiLabel.textContent = "ξ needs at least two observations.";
+    xiOut.innerHTML = "";
+    return;
+  }
+  const t = Number(xiTEl.value);
+  xiLabel.textContent = `t = ${t} → ${t + 1} (${labels[t]} → ${labels[t + 1]})`;
+  const xi = latticeXi(fb, t);
+  const names = Array.from({length: fb.N}, (_, i) => `S${i}`);
+  const withGamma = xi.map(row => [...row, row.reduce((a, b) => a + b, 0)]);
+  xiOut.innerHTML = toTable(withGamma, [...names.map(n => `→${n}`), "Σ = γ"], names);
+}
+
+latticeUnscaledEl.addEventListener("change", () => { if (lattice) renderLatticeTables(); });
+xiTEl.addEventListener("input", () => { if (lattice) { renderLatticeTables(); renderXi(); } });
+
+// Clicking a lattice column picks it as xi's time step.
+[alphaOut, betaOut].forEach(out => out.addEventListener("click", e => {
+  const cell = e.target.closest("[data-t]");
+  if (!cell || !lattice || lattice.O.length < 2) return;
+  xiTEl.value = Math.min(Number(cell.dataset.t), lattice.O.length - 2);
+  renderLatticeTables();
+  renderXi();
+}));
+
+// ---------- Results ----------
+function readSettings() {
+  return {
+    nStates: Number(nStatesEl.value),
+    maxIter: Number(nIterEl.value),
+    tol: Number(tolEl.value),
+    seed: Number(seedEl.value),
+    initMode: initModeEl.value,
+    initConcentration: Number(initConcentrationEl.value),
+    initWindow: Math.round(Number(initWindowEl.value)),
+    algorithm: algorithmEl.value,
+    emission: emissionEl.value,
+    multiSeq: multiSeqEl.checked,
+    tokenizer: readTokenizer(),
+    restarts: Math.max(1, Math.round(Number(restartsEl.value)) || 1),
+    prior: readPrior(),
+    constraints: readConstraints(),
+  };
+}
+
+// Constraint settings as typed (zeros stay as text so symbol names survive
+// export), or null when the model is unconstrained.
+function readConstraints() {
+  const c = {
+    topology: topologyEl.value,
+    maxJump: Math.round(Number(maxJumpEl.value)),
+    zerosA: zerosAEl.value.trim(),
+    zerosB: zerosBEl.value.trim(),
+    freeze: {pi: freezePiEl.checked, A: freezeAEl.checked, B: freezeBEl.checked},
+  };
+  const frozen = c.freeze.pi || c.freeze.A || c.freeze.B;
+  return c.topology === "ergodic" && !c.zerosA && !c.zerosB && !frozen ? null : c;
+}
+
+// Prior spec for HMM.setPrior, or null when priors are off. Throws on
+// malformed pseudocount JSON.
+function readPrior() {
+  if (!priorOnEl.checked) return null;
+  let pseudocounts = {};
+  if (pseudoEl.value.trim()) {
+    try { pseudocounts = JSON.parse(pseudoEl.value); }
+    catch (err) { throw new Error(`Extra pseudocounts are not valid JSON (${err.message})`); }
+  }
+  return {
+    alphaPi: Number(alphaPiEl.value),
+    alphaA: Number(alphaAEl.value),
+    alphaB: Number(alphaBEl.value),
+    sticky: Number(stickyEl.value),
+    pseudocounts,
+  };
+}
+
+function applySettings(settings) {
+  if (settings.nStates !== undefined) nStatesEl.value = settings.nStates;
+  if (settings.maxIter !== undefined) nIterEl.value = settings.maxIter;
+  if (settings.tol !== undefined) tolEl.value = settings.tol;
+  if (settings.seed !== undefined) seedEl.value = settings.seed;
+  if (settings.initMode !== undefined) initModeEl.value = settings.initMode;
+  if (settings.initConcentration !== undefined) initConcentrationEl.value = settings.initConcentration;
+  if (settings.initWindow !== undefined) initWindowEl.value = settings.initWindow;
+  if (settings.algorithm !== undefined) algorithmEl.value = settings.algorithm;
+  if (settings.emission !== undefined) emissionEl.value = settings.emission;
+  if (settings.multiSeq !== undefined) multiSeqEl.checked = !!settings.multiSeq;
+  if (settings.tokenizer !== undefined) {
+    tokenModeEl.value = settings.tokenizer.mode;
+    delimiterEl.value = settings.tokenizer.delimiter;
+    caseFoldEl.checked = !!settings.tokenizer.caseFold;
+  }
+  if (settings.restarts !== undefined) restartsEl.value = settings.restarts;
+  if (settings.prior !== undefined) {
+    const prior = settings.prior;
+    priorOnEl.checked = !!prior;
+    if (prior) {
+      alphaPiEl.value = prior.alphaPi;
+      alphaAEl.value = prior.alphaA;
+      alphaBEl.value = prior.alphaB;
+      stickyEl.value = prior.sticky;
+      pseudoEl.value = prior.pseudocounts && Object.keys(prior.pseudocounts).length ? JSON.stringify(prior.pseudocounts) : "";
+    }
+  }
+  if (settings.constraints !== undefined) {
+    const c = settings.constraints || {topology: "ergodic", maxJump: 1, zerosA: "", zerosB: "", freeze: {}};
+    topologyEl.value = c.topology;
+    maxJumpEl.value = c.maxJump;
+    zerosAEl.value = c.zerosA;
+    zerosBEl.value = c.zerosB;
+    freezePiEl.checked = !!c.freeze.pi;
+    freezeAEl.checked = !!c.freeze.A;
+    freezeBEl.checked = !!c.freeze.B;
+  }
+  updateInitControls();
+}
+
+// Enables the options of the chosen initialization and warns about uniform.
+function updateInitControls() {
+  initConcentrationEl.disabled = initModeEl.value !== "dirichlet";
+  initWindowEl.disabled = initModeEl.value !== "kmeans";
+  initHintEl.hidden = initModeEl.value !== "uniform";
+}
+initModeEl.addEventListener("change", updateInitControls);
+updateInitControls();
+
+// Short name of the quantity training tracked for these settings.
+function objectiveLabel(settings) {
+  return settings && settings.prior ? "log-post" : "log-lik";
+}
+
+// Fills every output panel from a trained or imported model. `seqs` may be
+// null when there is no data to decode; `overlays` are other restarts' curves.
+function showResult(result, overlays=[]) {
+  const {hmm, inv, vocab, seqSymbols, seqs, loglikHist, snapshots} = result;
+  const gaussian = hmm instanceof GaussianHMM;
+  currentResult = result;
+  currentOverlays = overlays;
+
+  if (!result.edited) diagram.positions = null;
+
+  const objective = objectiveLabel(result.settings);
+  chartTitleEl.textContent = objective === "log-post" ? "Log-posterior Convergence" : "Log-likelihood Convergence";
+  loadPlayback(hmm, inv, loglikHist, snapshots || [hmm.snapshot()], overlays, objective);
+  if (result.edited) {
+    drawChart(loglikHist, null, overlays);
+    iterLabel.textContent = "✎ Edited parameters";
+  }
+  trainHereBtn.disabled = false;
+  revertBtn.hidden = !result.edited;
+  renderParamInfo();
+  if (!seqs) {
+    obsOut.textContent = JSON.stringify(gaussian ? {emission: "gaussian"} : {vocab: inv}, null, 2);
+    vitOut.textContent = "";
+    postOut.innerHTML = "";
+    postSummary.textContent = "";
+    trellisOut.innerHTML = "";
+    trellisInfo.textContent = "";
+    trellisStartEl.hidden = postStartEl.hidden = true;
+    alphaOut.innerHTML = betaOut.innerHTML = xiOut.innerHTML = "";
+    scaleChart.getContext("2d").clearRect(0, 0, scaleChart.width, scaleChart.height);
+    scaleSummary.textContent = xiLabel.textContent = "";
+    decoding = lattice = null;
+    return;
+  }
+
+  // Sequences print as one line each: pretty-printing would give every step
+  // its own line, which long inputs can't afford.
+  const paths = seqs.map(O => hmm.viterbi(O));
+  if (seqs.length === 1) {
+    obsOut.textContent = JSON.stringify(gaussian ? {values: seqs[0].join(" ")} : {
+      symbols: seqSymbols[0].join(" "),
       vocab: Object.fromEntries(vocab)
     }, null, 2);
     vitOut.textContent = JSON.stringify({
-      path,
-      sequence: path.map(s => `S${s}`)
+      path: paths[0].join(" "),
+      sequence: paths[0].map(s => `S${s}`).join(" ")
     }, null, 2);
+  } else {
+    obsOut.textContent = JSON.stringify({
+      sequences: seqSymbols.map(symbols => symbols.join(" ")),
+      ...(gaussian ? {} : {vocab: Object.fromEntries(vocab)})
+    }, null, 2);
+    vitOut.textContent = JSON.stringify({
+      paths: paths.map(path => path.map(s => `S${s}`).join(" "))
+    }, null, 2);
+  }
+  loadDecoding(hmm, seqs, gaussian ? seqs.map(O => O.map(x => x.toFixed(2))) : seqSymbols);
+}
+
+// ---------- Restarts ----------
+let runsState = null;
+
+function finalLoglik(run) { return run.loglikHist[run.loglikHist.length - 1]; }
+
+function loadRuns(runs, best) {
+  runsState = {runs, best};
+  selectRun(best);
+}
+
+const RULE_NAMES = {"baum-welch": "Baum–Welch", viterbi: "Viterbi"};
+const OTHER_RULE_COLOR = "rgba(217,119,6,0.6)";
+
+// Chart overlays for other runs' curves: those trained with a learning rule
+// other than `rule` are drawn in orange.
+function ruleOverlays(curves, rules, rule) {
+  return curves.map((values, j) => rules[j] === rule ? values : {values, color: OTHER_RULE_COLOR});
+}
+
+// Shows one run in every panel with the other runs' curves behind it.
+function selectRun(k) {
+  const {runs, best} = runsState;
+  const others = runs.filter((_, j) => j !== k);
+  showResult(runs[k], ruleOverlays(others.map(r => r.loglikHist), others.map(r => r.settings.algorithm), runs[k].settings.algorithm));
+  if (runs.length < 2) { runsOut.innerHTML = ""; return; }
+
+  const mixed = runs.some(run => run.settings.algorithm !== runs[0].settings.algorithm);
+  let html = `<table class="runs-table"><thead><tr><th>Run</th>${mixed ? "<th>Rule</th>" : ""}<th>Seed</th><th>Final ${objectiveLabel(runs[k].settings)}</th><th>Iters</th></tr></thead><tbody>`;
+  runs.forEach((run, j) => {
+    html += `<tr data-run="${j}" class="${j === k ? "selected" : ""}">` +
+            `<td>${j + 1}${j === best ? " ★" : ""}</td>${mixed ? `<td>${RULE_NAMES[run.settings.algorithm]}</td>` : ""}<td>${run.settings.seed}</td>` +
+            `<td>${finalLoglik(run).toFixed(4)}</td><td>${run.loglikHist.length}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  if (mixed) html += `<p class="small">Orange curves were trained with the other learning rule. Both show log P(O); Viterbi training maximizes the best path's score instead, so its curve need not rise.</p>`;
+  runsOut.innerHTML = html;
+}
+
+runsOut.addEventListener("click", e => {
+  const row = e.target.closest("tr[data-run]");
+  if (row) { stopPlayback(); selectRun(Number(row.dataset.run)); }
+});
+
+// ---------- Training runner ----------
+// Runs training jobs in the module worker worker.js so the page stays
+// responsive, streaming each iteration back. If the worker can't be created
+// (no module-worker support) or fails before its first message, the jobs run
+// inline on the main thread instead, one job per tick: the page then freezes
+// while each job trains, and cancel() only takes effect between jobs.
+// Returns {promise, cancel, results}; `results` fills in live with one
+// {loglikHist, scoreHist, snapshots, done} per job, and the promise resolves
+// with it when training ends or cancel() is called.
+function runTraining(jobs, seqs, onProgress) {
+  const results = jobs.map(() => ({loglikHist: [], scoreHist: [], snapshots: [], done: false}));
+  const onIter = (j, loglik, snapshot, score) => {
+    results[j].loglikHist.push(loglik);
+    if (score !== undefined) results[j].scoreHist.push(score);
+    results[j].snapshots.push(snapshot);
+    onProgress(j, results[j]);
+  };
+  const onDone = (j, final) => {
+    results[j].snapshots.push(final);
+    results[j].done = true;
+  };
+
+  let finish, fail, worker = null, timer = null, cancelled = false;
+  const promise = new Promise((resolve, reject) => {
+    finish = () => resolve(results);
+    fail = reject;
+  });
+
+  const runInline = () => {
+    let j = 0;
+    const next = () => {
+      if (cancelled) return;
+      if (j >= jobs.length) { finish(); return; }
+      const job = jobs[j];
+      try {
+        const {snapshots} = trainJob(job, seqs, (it, loglik, snapshot, score) => onIter(j, loglik, snapshot, score));
+        onDone(j, snapshots[snapshots.length - 1]);
+      } catch (err) { fail(err); return; }
+      j++;
+      timer = setTimeout(next, 0);
+    };
+    timer = setTimeout(next, 0);
+  };
+
+  try {
+    worker = new Worker("worker.js", {type: "module"});
+  } catch (err) {
+    worker = null;
+  }
+  if (worker) {
+    let started = false;
+    worker.onmessage = e => {
+      const msg = e.data;
+      started = true;
+      if (msg.type === "iter") onIter(msg.job, msg.loglik, msg.snapshot, msg.score);
+      else if (msg.type === "done") onDone(msg.job, msg.final);
+      else if (msg.type === "finished") { worker.terminate(); finish(); }
+      else if (msg.type === "error") { worker.terminate(); fail(new Error(msg.message)); }
+    };
+    worker.onerror = e => {
+      e.preventDefault();
+      worker.terminate();
+      if (!started) runInline();
+      else fail(new Error(e.message || "training worker failed"));
+    };
+    worker.postMessage({jobs, seqs});
+  } else {
+    runInline();
+  }
+
+  const cancel = () => {
+    cancelled = true;
+    if (worker) worker.terminate();
+    clearTimeout(timer);
+    finish();
+  };
+  return {promise, cancel, results};
+}
+
+// The model a runner result trained, with the parameters of snapshot k (by
+// default the last). It starts from the run's own first snapshot, so the
+// configured initialization (k-means, Dirichlet…) is not computed again.
+function resultModel(job, result, seqs, k=result.snapshots.length - 1) {
+  return createModel({...job, init: result.snapshots[0]}, seqs).withSnapshot(result.snapshots[k]);
+}
+
+// Turns a runner result into a run for the restarts table. A cancelled run
+// keeps the parameters with the best value of the objective its rule
+// maximizes: the log-likelihood (or log-posterior) for Baum–Welch, the
+// best-path score for Viterbi training. `base` carries the data fields
+// shared by every run.
+function resultToRun(job, result, base) {
+  let {loglikHist, snapshots} = result;
+  if (!result.done) {
+    const k = argmax(job.algorithm === "viterbi" ? result.scoreHist : loglikHist);
+    loglikHist = loglikHist.slice(0, k + 1);
+    snapshots = snapshots.slice(0, k + 1);
+  }
+  const hmm = resultModel(job, {snapshots}, base.seqs);
+  return {...base, hmm, loglikHist, snapshots, cancelled: !result.done,
+          settings: {...base.settings, nStates: job.N, seed: job.seed, algorithm: job.algorithm, restarts: 1}};
+}
 
-    drawChart(loglikHist);
-    renderHMMDiagram(hmm, inv);
-    statusEl.textContent = `✅ Done — symbols: ${M}, length: ${O.length}, iters: ${loglikHist.length}`;
+// ---------- Train ----------
+let currentResult = null;
+let currentOverlays = [];
+let activeTraining = null;
+
+// Reads and encodes the observation input for training. Throws with a
+// user-facing message when there is nothing usable. With `model` ({hmm, inv})
+// the data is encoded for that model's emissions and vocabulary.
+function prepareTrainingData(settings, model=null) {
+  const seqSymbols = parseSequences(obsEl.value, settings.multiSeq, settings.tokenizer);
+  if (seqSymbols.length === 0) throw new Error("Please enter an observation sequence.");
+  if (model) return encodeTrainingData(seqSymbols, model.hmm instanceof GaussianHMM, model.inv);
+  return encodeTrainingData(seqSymbols, usesGaussian(settings, seqSymbols));
+}
+
+// Trains on the observation input, from the configured initialization or,
+// with `initial`, from that model's parameters (a single run).
+async function train(initial=null) {
+  stopPlayback();
+  let settings, data, jobs;
+  try {
+    settings = readSettings();
+    if (initial) {
+      data = prepareTrainingData(settings, {hmm: initial, inv: currentResult.inv});
+      jobs = restartJobs({...settings, restarts: 1}, data, initial.N).map(job => ({...job, init: initial.snapshot()}));
+    } else {
+      data = prepareTrainingData(settings);
+      jobs = restartJobs(settings, data);
+    }
+  } catch (err) {
+    statusEl.textContent = `⚠ ${initial ? "Can't train from here: " : ""}${err.message}`;
+    return;
+  }
+  const {seqSymbols, gaussian, seqs, vocab, inv, totalLen} = data;
+  const {maxIter, initMode} = settings;
+
+  let drawPending = false;
+  const onProgress = (j, result) => {
+    const n = result.loglikHist.length;
+    const runInfo = jobs.length > 1 ? `run ${j + 1}/${jobs.length} · ` : "";
+    statusEl.textContent = `Training… ${runInfo}iteration ${n}/${maxIter} · ${objectiveLabel(settings)} ${result.loglikHist[n - 1].toFixed(3)}`;
+    if (drawPending) return;
+    drawPending = true;
+    requestAnimationFrame(() => {
+      drawPending = false;
+      drawChart(result.loglikHist, null, ruleOverlays(training.results.slice(0, j).map(r => r.loglikHist),
+                                                      jobs.map(job => job.algorithm), jobs[j].algorithm));
+    });
+  };
+
+  trainBtn.disabled = trainHereBtn.disabled = true;
+  cancelBtn.hidden = false;
+  statusEl.textContent = "Training…";
+  const training = runTraining(jobs, seqs, onProgress);
+  activeTraining = training;
+  let results;
+  try {
+    results = await training.promise;
+  } catch (err) {
+    statusEl.textContent = `⚠ Training failed: ${err.message}`;
+    return;
+  } finally {
+    activeTraining = null;
     trainBtn.disabled = false;
-  }, 10);
-});
\ No newline at end of file
+    trainHereBtn.disabled = !currentResult;
+    cancelBtn.hidden = true;
+  }
+
+  const base = {inv, vocab, seqSymbols, seqs, settings};
+  const runs = results
+    .map((result, j) => result.loglikHist.length ? resultToRun(jobs[j], result, base) : null)
+    .filter(Boolean);
+  if (runs.length === 0) {
+    statusEl.textContent = "⚠ Training cancelled before the first iteration.";
+    return;
+  }
+  const best = argmax(runs.map(finalLoglik));
+  loadRuns(runs, best);
+
+  const cancelled = runs.some(run => run.cancelled) || runs.length < jobs.length;
+  const seqInfo = seqs.length > 1 ? `sequences: ${seqs.length}, ` : "";
+  const emitInfo = gaussian ? "Gaussian emissions" : `symbols: ${inv.length}`;
+  const both = settings.algorithm === "both";
+  const runInfo = runs.length > 1
+    ? `, best of ${runs.length} ${both ? "runs" : "restarts"}: seed ${runs[best].settings.seed}${both ? ` (${RULE_NAMES[runs[best].settings.algorithm]})` : ""}${initMode === "uniform" && !initial ? " (uniform init ignores the seed)" : ""}`
+    : "";
+  const from = initial ? " from the current parameters" : "";
+  const stuck = initMode === "uniform" && !initial && runs[best].hmm.N > 1 ? " · ⚠ uniform init: the states stayed identical" : "";
+  statusEl.textContent = `${cancelled ? "⏹ Cancelled — kept best so far" : `✅ Done${from}`} — ${seqInfo}${emitInfo}, length: ${totalLen}, iters: ${runs[best].loglikHist.length}${runInfo}${stuck}`;
+}
+
+trainBtn.addEventListener("click", () => train());
+
+cancelBtn.addEventListener("click", () => {
+  if (activeTraining) activeTraining.cancel();
+});
+
+// ---------- Parameter editing ----------
+// Edits apply to the parameters on screen (any playback iteration) and give
+// an edited model that replaces the current one everywhere until it is
+// retrained or reverted. `original` keeps the result the edits started from.
+let editStart = "";
+
+[piTableDiv, aTableDiv, bTableDiv].forEach(div => {
+  div.addEventListener("focusin", e => { if (e.target.dataset.param) editStart = e.target.textContent; });
+  div.addEventListener("keydown", e => {
+    if (!e.target.dataset.param) return;
+    if (e.key === "Enter") { e.preventDefault(); e.target.blur(); }
+    else if (e.key === "Escape") { e.target.textContent = editStart; e.target.blur(); }
+  });
+  div.addEventListener("focusout", e => { if (e.target.dataset.param) commitEdit(e.target); });
+});
+
+function commitEdit(cell) {
+  const text = cell.textContent.trim();
+  if (text === editStart.trim() || !playback) return;
+  const {param} = cell.dataset;
+  const r = Number(cell.dataset.r), c = Number(cell.dataset.c);
+  const hmm = playback.shown;
+  const cons = hmm.constraints;
+  const value = Number(text);
+  let edited, note;
+  try {
+    if (text === "" || !Number.isFinite(value)) throw new Error(`"${text}" is not a number`);
+    if (param === "pi") {
+      edited = hmm.withSnapshot({pi: setRowEntry(hmm.pi, c, value, cons && cons.maskPi)});
+      note = "π renormalized";
+    } else if (param === "A" || param === "B") {
+      const mask = cons && (param === "A" ? cons.maskA : cons.maskB);
+      const rows = hmm[param].map((row, i) => i === r ? setRowEntry(row, c, value, mask && mask[i]) : row.slice());
+      edited = hmm.withSnapshot({[param]: rows});
+      note = `row S${r} of ${param} renormalized`;
+    } else {
+      if (param === "vars" && !(value > 0)) throw new Error("a variance must be positive");
+      edited = hmm.withSnapshot({[param]: hmm[param].map((x, i) => i === r ? value : x)});
+      note = `${param === "means" ? "μ" : "σ²"} of S${r} set to ${value}`;
+    }
+  } catch (err) {
+    cell.textContent = editStart;
+    statusEl.textContent = `⚠ Edit not applied: ${err.message}`;
+    return;
+  }
+  const original = currentResult.original || currentResult;
+  showResult({...currentResult, hmm: edited, snapshots: null, edited: true, original}, currentOverlays);
+  statusEl.textContent = `✎ ${note}`;
+}
+
+// Log-likelihood of the observations under the current model, compared with
+// the model the edits started from.
+function renderParamInfo() {
+  const {hmm, seqs, edited, original} = currentResult;
+  if (!seqs) {
+    paramInfo.textContent = "No observations to score — enter some and train, or edit the parameters.";
+    return;
+  }
+  const ll = totalLoglik(hmm, seqs);
+  let text = `log P(O) = ${ll.toFixed(4)}`;
+  if (edited) {
+    const before = totalLoglik(original.hmm, seqs);
+    const delta = ll - before;
+    text += ` · before editing ${before.toFixed(4)} (${delta >= 0 ? "+" : ""}${delta.toFixed(4)})`;
+  }
+  paramInfo.textContent = text;
+}
+
+trainHereBtn.addEventListener("click", () => { if (playback) train(playback.shown); });
+
+revertBtn.addEventListener("click", () => {
+  if (!currentResult || !currentResult.original) return;
+  stopPlayback();
+  showResult(currentResult.original, currentOverlays);
+  statusEl.textContent = "↺ Edits reverted";
+});
+
+// ---------- Export / Import ----------
+exportBtn.addEventListener("click", () => {
+  if (!currentResult) {
+    statusEl.textContent = "⚠ Train or import a model before exporting.";
+    return;
+  }
+  const {hmm, inv, settings, loglikHist, seqSymbols} = currentResult;
+  const doc = modelToJSON(hmm, {inv, settings, loglikHist, observations: seqSymbols});
+  const blob = new Blob([JSON.stringify(doc, null, 2)], {type: "application/json"});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `hmm-N${hmm.N}-${doc.emission}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+  statusEl.textContent = `✅ Exported ${a.download}`;
+});
+
+importBtn.addEventListener("click", () => importFileEl.click());
+
+importFileEl.addEventListener("change", async () => {
+  const file = importFileEl.files[0];
+  importFileEl.value = "";
+  if (!file) return;
+  stopPlayback();
+  try {
+    let doc;
+    try { doc = JSON.parse(await file.text()); }
+    catch (err) { throw new Error(`not valid JSON (${err.message})`); }
+    statusEl.textContent = `✅ Imported ${file.name} — ${loadModel(modelFromJSON(doc))}`;
+  } catch (err) {
+    statusEl.textContent = `⚠ Import failed: ${err.message}`;
+  }
+});
+
+// Shows a model from modelFromJSON in every panel, restoring its settings and
+// any embedded observations. Returns a one-line summary for the status.
+function loadModel(model) {
+  const {hmm, inv, settings, loglikHist, observations} = model;
+  const gaussian = hmm instanceof GaussianHMM;
+  applySettings({...settings, nStates: hmm.N});
+  if (observations) obsEl.value = observations.map(seq => joinTokens(seq, readTokenizer())).join("\n");
+  updatePreview();
+  let note = "";
+  try { hmm.setConstraints(resolveConstraints(settings.constraints, inv)); }
+  catch (err) { note = ` (constraints not shown: ${err.message})`; }
+
+  // Decode the embedded observations, or whatever is in the input box.
+  let seqSymbols = [], encoded = null;
+  try {
+    seqSymbols = observations || parseSequences(obsEl.value, multiSeqEl.checked, readTokenizer());
+    if (seqSymbols.length > 0) encoded = encodeSequences(seqSymbols, gaussian, inv);
+  } catch (err) {
+    note = ` (no decoding: ${err.message})`;
+  }
+  runsState = null;
+  runsOut.innerHTML = "";
+  showResult({
+    hmm, inv, settings, loglikHist,
+    vocab: encoded && encoded.vocab,
+    seqSymbols: encoded ? seqSymbols : null,
+    seqs: encoded ? encoded.seqs : null,
+  });
+  return `N=${hmm.N}, ${gaussian ? "Gaussian emissions" : `symbols: ${inv.length}`}${note}`;
+}
+
+// ---------- Synthetic data ----------
+let generated = null;
+
+// The model to sample from with its symbol names (null for Gaussian).
+function samplingModel() {
+  if (genSourceEl.value === "current") {
+    if (!currentResult) throw new Error("Train or import a model first, or choose a custom model.");
+    return {hmm: currentResult.hmm, inv: currentResult.inv};
+  }
+  try {
+    const {hmm, inv} = modelFromSpec(JSON.parse(genSpecEl.value));
+    return {hmm, inv};
+  } catch (err) {
+    throw new Error(`Custom model: ${err.message}`);
+  }
+}
+
+// Formats one sampled sequence as the tokens #obs expects.
+function formatSample(obs, inv) {
+  return inv ? obs.map(k => inv[k]) : obs.map(x => x.toFixed(3));
+}
+
+genBtn.addEventListener("click", () => {
+  let model;
+  try {
+    model = samplingModel();
+  } catch (err) {
+    genStatus.textContent = `⚠ ${err.message}`;
+    return;
+  }
+  const T = Math.max(1, Math.round(Number(genTEl.value)) || 1);
+  const count = Math.max(1, Math.round(Number(genCountEl.value)) || 1);
+  const rng = mulberry32(Number(genSeedEl.value));
+  const samples = Array.from({length: count}, () => model.hmm.sample(T, rng));
+  generated = samples.map(({states, obs}) => ({states, tokens: formatSample(obs, model.inv)}));
+
+  const lines = [];
+  generated.forEach(({states, tokens}, k) => {
+    if (count > 1) lines.push(`# sequence ${k + 1}`);
+    lines.push(tokens.join(" "));
+    if (genShowStatesEl.checked) lines.push(states.map(s => `S${s}`).join(" "));
+  });
+  genOut.textContent = lines.join("\n");
+  genUseBtn.disabled = false;
+  genStatus.textContent = `✅ Sampled ${count} × ${T} from a ${model.hmm.N}-state model`;
+});
+
+genUseBtn.addEventListener("click", () => {
+  if (!generated) return;
+  obsEl.value = generated.map(g => joinTokens(g.tokens, readTokenizer())).join("\n");
+  multiSeqEl.checked = true;
+  updatePreview();
+  genStatus.textContent = "✅ Copied to the observation sequence input";
+  obsEl.scrollIntoView({behavior: "smooth", block: "center"});
+});
+
+// ---------- Parameter recovery experiment ----------
+const RECOVERY_PRESETS = {
+  weather: {
+    vocab: ["W", "H"],
+    pi: [0.6, 0.4],
+    A: [[0.8, 0.2], [0.3, 0.7]],
+    B: [[0.9, 0.1], [0.2, 0.8]],
+  },
+  casino: {
+    vocab: ["1", "2", "3", "4", "5", "6"],
+    pi: [0.5, 0.5],
+    A: [[0.95, 0.05], [0.1, 0.9]],
+    B: [[1/6, 1/6, 1/6, 1/6, 1/6, 1/6], [0.1, 0.1, 0.1, 0.1, 0.1, 0.5]],
+  },
+  three: {
+    vocab: ["a", "b", "c", "d"],
+    pi: [0.5, 0.3, 0.2],
+    A: [[0.85, 0.1, 0.05], [0.1, 0.8, 0.1], [0.05, 0.15, 0.8]],
+    B: [[0.7, 0.2, 0.05, 0.05], [0.1, 0.6, 0.2, 0.1], [0.05, 0.05, 0.3, 0.6]],
+  },
+};
+
+let activeExperiment = null;
+
+function loadRecoveryPreset() {
+  const preset = RECOVERY_PRESETS[expPresetEl.value];
+  if (!preset) return;
+  expSpecEl.value = JSON.stringify(preset, (k, v) => typeof v === "number" ? Number(v.toFixed(4)) : v, 2)
+    .replace(/\[\s+([^\[\]]+?)\s+\]/g, (_, inner) => `[${inner.replace(/\s+/g, " ")}]`);
+}
+
+expPresetEl.addEventListener("change", loadRecoveryPreset);
+expSpecEl.addEventListener("input", () => { expPresetEl.value = "custom"; });
+loadRecoveryPreset();
+
+function renderRecovery(rows) {
+  const xs = rows.map(r => r.T);
+  drawLineChart(expChart, xs, [
+    {label: "π", color: "#7c3aed", values: rows.map(r => r.piError)},
+    {label: "A", color: "#2563eb", values: rows.map(r => r.AError)},
+    {label: "B", color: "#059669", values: rows.map(r => r.BError)},
+  ], {logX: true, xLabel: "T (log scale)"});
+
+  let html = `<table><thead><tr><th>T</th><th>π MAE</th><th>A MAE</th><th>B MAE</th>` +
+             `<th>Viterbi acc.</th><th>True-model acc.</th><th>LL true</th><th>LL learned</th><th>Matching</th></tr></thead><tbody>`;
+  rows.forEach(r => {
+    const matching = r.perm.map((p, i) => `S${p}→S${i}`).join(" ");
+    html += `<tr><th>${r.T}</th><td>${r.piError.toFixed(4)}</td><td>${r.AError.toFixed(4)}</td><td>${r.BError.toFixed(4)}</td>` +
+            `<td>${(100 * r.accuracy).toFixed(1)}%</td><td>${(100 * r.trueAccuracy).toFixed(1)}%</td>` +
+            `<td>${r.loglikTrue.toFixed(2)}</td><td>${r.loglikLearned.toFixed(2)}</td><td>${matching}</td></tr>`;
+  });
+  html += `</tbody></table><p class="small">Matching lists learned→true state pairs from the optimal permutation. ` +
+          `True-model accuracy is the Viterbi accuracy of the generating model itself, for reference.</p>`;
+  expOut.innerHTML = html;
+}
+
+// For each T: sample from the true model, train a fresh model (best of the
+// configured restarts) and compare it with the truth.
+expBtn.addEventListener("click", async () => {
+  let truth, inv;
+  try {
+    ({hmm: truth, inv} = modelFromSpec(JSON.parse(expSpecEl.value)));
+    if (!(truth instanceof DiscreteHMM)) throw new Error("recovery experiments use discrete models");
+  } catch (err) {
+    expStatus.textContent = `⚠ True model: ${err.message}`;
+    return;
+  }
+  const Ts = expTsEl.value.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (Ts.length === 0 || Ts.some(T => !Number.isInteger(T) || T < 2)) {
+    expStatus.textContent = "⚠ Sequence lengths must be integers ≥ 2.";
+    return;
+  }
+  let settings, jobs;
+  try {
+    settings = readSettings();
+    jobs = restartJobs(settings, {gaussian: false, inv}, truth.N);
+  } catch (err) {
+    expStatus.textContent = `⚠ ${err.message}`;
+    return;
+  }
+  const dataSeed = Number(expSeedEl.value);
+
+  expBtn.disabled = true;
+  expCancelBtn.hidden = false;
+  const rows = [];
+  activeExperiment = {cancelled: false, training: null};
+  try {
+    for (const T of Ts) {
+      const {obs, states} = truth.sample(T, mulberry32(dataSeed));
+      const training = runTraining(jobs, [obs], (j, result) => {
+        expStatus.textContent = `Running… T=${T} · run ${j + 1}/${jobs.length} · iteration ${result.loglikHist.length}`;
+      });
+      activeExperiment.training = training;
+      const results = await training.promise;
+      if (activeExperiment.cancelled) break;
+      const finals = results.map(r => r.loglikHist[r.loglikHist.length - 1]);
+      const best = argmax(finals);
+      const learned = resultModel(jobs[best], results[best], [obs]);
+      rows.push({T, ...recoveryReport(truth, learned, obs, states)});
+      renderRecovery(rows);
+    }
+    expStatus.textContent = activeExperiment.cancelled
+      ? `⏹ Cancelled after ${rows.length} of ${Ts.length} lengths`
+      : `✅ Done — ${truth.N} states, ${inv.length} symbols, ${Ts.length} lengths`;
+  } catch (err) {
+    expStatus.textContent = `⚠ Experiment failed: ${err.message}`;
+  } finally {
+    activeExperiment = null;
+    expBtn.disabled = false;
+    expCancelBtn.hidden = true;
+  }
+});
+
+expCancelBtn.addEventListener("click", () => {
+  if (!activeExperiment) return;
+  activeExperiment.cancelled = true;
+  if (activeExperiment.training) activeExperiment.training.cancel();
+});
+
+// ---------- Model selection ----------
+let selection = null;
+let activeSelection = null;
+
+// Trains every N in the range with a few restarts each (all in one runner
+// call) and scores the best run per N with AIC/BIC.
+selBtn.addEventListener("click", async () => {
+  let settings, data, jobs;
+  const nMin = Math.round(Number(selMinEl.value)), nMax = Math.round(Number(selMaxEl.value));
+  if (!(nMin >= 1 && nMax >= nMin && nMax <= 10)) {
+    selStatus.textContent = "⚠ N range must satisfy 1 ≤ min ≤ max ≤ 10.";
+    return;
+  }
+  const Ns = Array.from({length: nMax - nMin + 1}, (_, k) => nMin + k);
+  try {
+    settings = {...readSettings(), restarts: Math.max(1, Math.round(Number(selRestartsEl.value)) || 1)};
+    data = prepareTrainingData(settings);
+    jobs = Ns.flatMap(N => restartJobs(settings, data, N));
+  } catch (err) {
+    selStatus.textContent = `⚠ ${err.message}`;
+    return;
+  }
+
+  selBtn.disabled = true;
+  selCancelBtn.hidden = false;
+  const training = runTraining(jobs, data.seqs, (j, result) => {
+    selStatus.textContent = `Running… N=${jobs[j].N} · run ${j + 1}/${jobs.length} · iteration ${result.loglikHist.length}`;
+  });
+  activeSelection = training;
+  let results;
+  try {
+    results = await training.promise;
+  } catch (err) {
+    selStatus.textContent = `⚠ Model selection failed: ${err.message}`;
+    return;
+  } finally {
+    activeSelection = null;
+    selBtn.disabled = false;
+    selCancelBtn.hidden = true;
+  }
+
+  const base = {inv: data.inv, vocab: data.vocab, seqSymbols: data.seqSymbols, seqs: data.seqs, settings};
+  const rows = [];
+  Ns.forEach(N => {
+    const runs = [];
+    jobs.forEach((job, j) => {
+      if (job.N === N && results[j].done) runs.push(resultToRun(job, results[j], base));
+    });
+    if (runs.length === 0) return;
+    const best = argmax(runs.map(finalLoglik));
+    const loglik = totalLoglik(runs[best].hmm, data.seqs);
+    const k = freeParameterCount(runs[best].hmm);
+    rows.push({N, k, loglik, ...informationCriteria(loglik, k, data.totalLen), runs, best});
+  });
+  if (rows.length === 0) {
+    selStatus.textContent = "⏹ Cancelled before any N finished.";
+    return;
+  }
+  selection = {rows, recommended: argmax(rows.map(r => -r.bic)), bestAic: argmax(rows.map(r => -r.aic))};
+  renderSelection();
+  const cancelled = rows.length < Ns.length ? ` (cancelled; ${rows.length} of ${Ns.length} N values finished)` : "";
+  selStatus.textContent = `✅ BIC recommends N=${rows[selection.recommended].N}, AIC N=${rows[selection.bestAic].N}${cancelled}. Click a point or row to load it.`;
+});
+
+selCancelBtn.addEventListener("click", () => {
+  if (activeSelection) activeSelection.cancel();
+});
+
+function renderSelection(loaded=null) {
+  const {rows, recommended, bestAic} = selection;
+  selection.layout = drawLineChart(selChart, rows.map(r => r.N), [
+    {label: "−2·LL", color: "#6b7a99", values: rows.map(r => -2 * r.loglik)},
+    {label: "AIC", color: "#d97706", values: rows.map(r => r.aic)},
+    {label: "BIC", color: "#2563eb", values: rows.map(r => r.bic)},
+  ], {highlight: recommended, xLabel: "N (hidden states)"});
+
+  let html = `<table class="runs-table"><thead><tr><th>N</th><th>Free params</th><th>Log-lik</th><th>AIC</th><th>BIC</th></tr></thead><tbody>`;
+  rows.forEach((r, i) => {
+    const marks = (i === recommended ? " ★" : "") + (i === bestAic && i !== recommended ? " (AIC)" : "");
+    html += `<tr data-sel="${i}" class="${i === loaded ? "selected" : ""}"><td>${r.N}${marks}</td><td>${r.k}</td>` +
+            `<td>${r.loglik.toFixed(3)}</td><td>${r.aic.toFixed(2)}</td><td>${r.bic.toFixed(2)}</td></tr>`;
+  });
+  html += `</tbody></table><p class="small">★ lowest BIC (recommended). Each N keeps its best of ${selRestartsEl.value} restarts. Structural zeros and frozen parameters don't count as free.</p>`;
+  selOut.innerHTML = html;
+}
+
+// Loads the best run for rows[i] into the main panels, with its restarts.
+function loadSelection(i) {
+  const row = selection.rows[i];
+  stopPlayback();
+  nStatesEl.value = row.N;
+  loadRuns(row.runs, row.best);
+  renderSelection(i);
+  statusEl.textContent = `✅ Loaded N=${row.N} from model selection — log-lik ${row.loglik.toFixed(3)}, BIC ${row.bic.toFixed(2)}`;
+}
+
+selOut.addEventListener("click", e => {
+  const tr = e.target.closest("tr[data-sel]");
+  if (tr) loadSelection(Number(tr.dataset.sel));
+});
+
+selChart.addEventListener("click", e => {
+  if (!selection || !selection.layout) return;
+  const rect = selChart.getBoundingClientRect();
+  const x = (e.clientX - rect.left) * (selChart.width / (rect.width || selChart.width));
+  const dists = selection.layout.xs.map(px => Math.abs(px - x));
+  const i = dists.indexOf(Math.min(...dists));
+  if (dists[i] < 30) loadSelection(i);
+});
+
+
+// ---------- Held-out evaluation ----------
+let activeEvaluation = null;
+
+// Trains every listed N on each fold's training part (restarts per the
+// Configuration card) and scores the best run per N on the held-out part.
+evalBtn.addEventListener("click", async () => {
+  const Ns = evalNsEl.value.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (Ns.length === 0 || Ns.some(N => !Number.isInteger(N) || N < 1 || N > 10)) {
+    evalStatus.textContent = "⚠ N values must be integers between 1 and 10.";
+    return;
+  }
+  let settings, seqSymbols;
+  try {
+    settings = readSettings();
+    seqSymbols = parseSequences(obsEl.value, settings.multiSeq, settings.tokenizer);
+    if (seqSymbols.length === 0) throw new Error("Please enter an observation sequence.");
+  } catch (err) {
+    evalStatus.textContent = `⚠ ${err.message}`;
+    return;
+  }
+  const gaussian = usesGaussian(settings, seqSymbols);
+  const seed = Number(evalSeedEl.value);
+  let folds;
+  try {
+    folds = evalModeEl.value === "kfold"
+      ? kFoldSplits(seqSymbols, Math.round(Number(evalKEl.value)), seed)
+      : holdoutSplit(seqSymbols, Number(evalFracEl.value) / 100, seed);
+  } catch (err) {
+    evalStatus.textContent = `⚠ Can't split the data: ${err.message}`;
+    return;
+  }
+
+  evalBtn.disabled = true;
+  evalCancelBtn.hidden = false;
+  activeEvaluation = {cancelled: false, training: null};
+  const totals = Ns.map(N => ({N, trainLoglik: 0, trainN: 0, loglik: 0, n: 0, oov: 0}));
+  let done = 0;
+  try {
+    for (const [f, fold] of folds.entries()) {
+      const data = encodeTrainingData(fold.train, gaussian);
+      const test = gaussian ? fold.test.map(seq => seq.map(Number)) : fold.test.map(seq => toIntSeq(seq, data.vocab));
+      const jobs = Ns.flatMap(N => restartJobs(settings, data, N));
+      const training = runTraining(jobs, data.seqs, (j, result) => {
+        const foldInfo = folds.length > 1 ? `fold ${f + 1}/${folds.length} · ` : "";
+        evalStatus.textContent = `Running… ${foldInfo}N=${jobs[j].N} · run ${j + 1}/${jobs.length} · iteration ${result.loglikHist.length}`;
+      });
+      activeEvaluation.training = training;
+      const results = await training.promise;
+      if (activeEvaluation.cancelled) break;
+      Ns.forEach((N, r) => {
+        const idx = jobs.flatMap((job, j) => job.N === N ? [j] : []);
+        const best = idx[argmax(idx.map(j => results[j].loglikHist[results[j].loglikHist.length - 1]))];
+        const hmm = resultModel(jobs[best], results[best], data.seqs);
+        let score;
+        try { score = heldOutScore(hmm, test); }
+        catch (err) { throw new Error(folds.length > 1 ? `fold ${f + 1}: ${err.message}` : err.message); }
+        totals[r].trainLoglik += totalLoglik(hmm, data.seqs);
+        totals[r].trainN += data.totalLen;
+        totals[r].loglik += score.loglik;
+        totals[r].n += score.n;
+        totals[r].oov += score.oov;
+      });
+      done++;
+      renderEvaluation(totals, done, gaussian);
+    }
+    evalStatus.textContent = activeEvaluation.cancelled
+      ? `⏹ Cancelled after ${done} of ${folds.length} folds`
+      : `✅ Done — ${folds.length > 1 ? `${folds.length}-fold cross-validation` : "train/test split"}, best held-out N=${totals[argmax(totals.map(t => t.loglik / t.n))].N}`;
+  } catch (err) {
+    evalStatus.textContent = `⚠ Evaluation failed: ${err.message}`;
+  } finally {
+    activeEvaluation = null;
+    evalBtn.disabled = false;
+    evalCancelBtn.hidden = true;
+  }
+});
+
+evalCancelBtn.addEventListener("click", () => {
+  if (!activeEvaluation) return;
+  activeEvaluation.cancelled = true;
+  if (activeEvaluation.training) activeEvaluation.training.cancel();
+});
+
+function renderEvaluation(totals, folds, gaussian) {
+  const rows = totals.map(t => ({...t, trainPerSymbol: t.trainLoglik / t.trainN, perSymbol: t.loglik / t.n}));
+  const best = argmax(rows.map(r => r.perSymbol));
+  const unit = gaussian ? "obs" : "symbol";
+  drawLineChart(evalChart, rows.map(r => r.N), [
+    {label: `train LL/${unit}`, color: "#6b7a99", values: rows.map(r => r.trainPerSymbol)},
+    {label: `held-out LL/${unit}`, color: "#2563eb", values: rows.map(r => r.perSymbol)},
+  ], {highlight: best, xLabel: "N (hidden states)"});
+
+  let html = `<table class="runs-table"><thead><tr><th>N</th><th>Train LL/${unit}</th><th>Held-out LL</th>` +
+             `<th>Held-out LL/${unit}</th><th>Perplexity</th><th>Unknown</th></tr></thead><tbody>`;
+  rows.forEach((r, i) => {
+    html += `<tr><td>${r.N}${i === best ? " ★" : ""}</td><td>${r.trainPerSymbol.toFixed(4)}</td><td>${r.loglik.toFixed(3)}</td>` +
+            `<td>${r.perSymbol.toFixed(4)}</td><td>${gaussian ? "—" : Math.exp(-r.perSymbol).toFixed(3)}</td><td>${r.oov}</td></tr>`;
+  });
+  html += `</tbody></table><p class="small">★ best held-out log-likelihood per ${unit}, summed over ${folds} fold${folds === 1 ? "" : "s"}. ` +
+          `Unknown test symbols (not seen in training) are marginalized out and excluded from the per-symbol figures.</p>`;
+  evalOut.innerHTML = html;
+}
+
+// ---------- Sequence classification ----------
+let activeClassification = null;
+
+// Trains one model per class with trainClassifier (restarts per the
+// Configuration card, best run kept), then scores every test sequence under
+// each class model.
+clsBtn.addEventListener("click", async () => {
+  const N = Math.round(Number(clsNEl.value));
+  let settings, examples, data, tests;
+  try {
+    if (!(N >= 1 && N <= 10)) throw new Error("States per class must be between 1 and 10.");
+    settings = readSettings();
+    examples = parseLabelledSequences(clsTrainEl.value, settings.tokenizer, true);
+    data = classifierData(examples);
+    tests = parseLabelledSequences(clsTestEl.value, settings.tokenizer);
+    if (tests.length === 0) throw new Error("Enter test sequences to classify.");
+    const stray = tests.find(ex => ex.label !== null && !data.classes.includes(ex.label));
+    if (stray) throw new Error(`test label "${stray.label}" is not one of the training classes`);
+  } catch (err) {
+    clsStatus.textContent = `⚠ ${err.message}`;
+    return;
+  }
+
+  clsBtn.disabled = true;
+  clsCancelBtn.hidden = false;
+  const active = activeClassification = {cancelled: false, training: null, classesDone: 0};
+  // Each class's restarts go to the training worker in turn.
+  const trainRuns = async (jobs, seqs, c) => {
+    active.classesDone = c;
+    const training = runTraining(jobs, seqs, (j, result) => {
+      clsStatus.textContent = `Training… class "${data.classes[c]}" (${c + 1}/${data.classes.length}) · run ${j + 1}/${jobs.length} · iteration ${result.loglikHist.length}`;
+    });
+    active.training = training;
+    const results = await training.promise;
+    return active.cancelled ? null : jobs.map((job, j) => resultToRun(job, results[j], {seqs, settings}));
+  };
+  try {
+    const bank = await trainClassifier(examples, settings, N, trainRuns);
+    if (!bank) {
+      clsStatus.textContent = `⏹ Cancelled after ${active.classesDone} of ${data.classes.length} classes`;
+      return;
+    }
+    renderClassification(bank, tests);
+  } catch (err) {
+    clsStatus.textContent = `⚠ Classification failed: ${err.message}`;
+  } finally {
+    activeClassification = null;
+    clsBtn.disabled = false;
+    clsCancelBtn.hidden = true;
+  }
+});
+
+clsCancelBtn.addEventListener("click", () => {
+  if (!activeClassification) return;
+  activeClassification.cancelled = true;
+  if (activeClassification.training) activeClassification.training.cancel();
+});
+
+function renderClassification({classes, vocab, models}, tests) {
+  const rows = tests.map(ex => {
+    const O = toIntSeq(ex.symbols, vocab);
+    return {...ex, oov: O.filter(o => o === UNKNOWN_SYMBOL).length, ...classifySequence(models, O)};
+  });
+
+  let html = `<table class="runs-table"><thead><tr><th>#</th><th>True</th><th>Predicted</th>` +
+             classes.map(name => `<th>${escapeHTML(name)}</th>`).join("") + `</tr></thead><tbody>`;
+  rows.forEach((r, n) => {
+    const wrong = r.label !== null && classes[r.predicted] !== r.label;
+    html += `<tr class="${wrong ? "cls-wrong" : ""}"><td>${n + 1}</td><td>${r.label === null ? "—" : escapeHTML(r.label)}</td>` +
+            `<td>${escapeHTML(classes[r.predicted])}</td>`;
+    r.posterior.forEach((p, c) => {
+      const alpha = Math.round(p * 90).toString(16).padStart(2, "0");
+      html += `<td style="background:#2563eb${alpha}" title="log P(O | ${escapeHTML(classes[c])}) = ${r.scores[c].toFixed(4)}">` +
+              `${p.toFixed(3)}<span class="cls-ll">${r.scores[c].toFixed(1)}</span></td>`;
+    });
+    html += `</tr>`;
+  });
+  html += `</tbody></table><p class="small">Each class column shows P(class | O) and, in grey, log P(O | class). ` +
+          `Symbols not seen in any training sequence are marginalized out.</p>`;
+  clsOut.innerHTML = html;
+
+  const scored = rows.filter(r => r.label !== null);
+  const oov = rows.reduce((s, r) => s + r.oov, 0);
+  const oovInfo = oov ? ` · ${oov} unknown symbol${oov === 1 ? "" : "s"}` : "";
+  if (scored.length === 0) {
+    clsConfusion.innerHTML = `<p class="small">Label test lines (<code>label: symbols</code>) to see a confusion matrix.</p>`;
+    clsStatus.textContent = `✅ Classified ${rows.length} sequence${rows.length === 1 ? "" : "s"} into ${classes.length} classes${oovInfo}`;
+    return;
+  }
+  const {matrix, accuracy} = confusionMatrix(scored.map(r => classes.indexOf(r.label)), scored.map(r => r.predicted), classes.length);
+  html = `<table class="runs-table confusion"><thead><tr><th>True ↓ / Predicted →</th>` +
+         classes.map(name => `<th>${escapeHTML(name)}</th>`).join("") + `</tr></thead><tbody>`;
+  matrix.forEach((row, i) => {
+    const total = row.reduce((a,b)=>a+b,0);
+    html += `<tr><th>${escapeHTML(classes[i])}</th>`;
+    row.forEach((count, j) => {
+      const share = total ? count / total : 0;
+      const color = i === j ? "#059669" : "#ef4444";
+      html += `<td style="background:${color}${Math.round(share * 140).toString(16).padStart(2, "0")}">${count}</td>`;
+    });
+    html += `</tr>`;
+  });
+  html += `</tbody></table><p class="small">Accuracy ${(accuracy * 100).toFixed(1)}% on ${scored.length} labelled test sequence${scored.length === 1 ? "" : "s"}.</p>`;
+  clsConfusion.innerHTML = html;
+  clsStatus.textContent = `✅ Done — ${classes.length} classes, accuracy ${(accuracy * 100).toFixed(1)}% (${Math.round(accuracy * scored.length)}/${scored.length})${oovInfo}`;
+}
+
+// Three classes over the same symbols that differ only in how they move
+// between two emission regimes: sticky, alternating and memoryless.
+clsExampleBtn.addEventListener("click", () => {
+  const rng = mulberry32(Number(seedEl.value) || 0);
+  const B = [[0.85, 0.1, 0.05], [0.05, 0.1, 0.85]];
+  const classes = [
+    ["steady", [[0.93, 0.07], [0.07, 0.93]]],
+    ["alternating", [[0.1, 0.9], [0.9, 0.1]]],
+    ["random", [[0.5, 0.5], [0.5, 0.5]]],
+  ];
+  const lines = (count, T) => classes.flatMap(([name, A]) => {
+    const hmm = new DiscreteHMM(2, 3, 0).withSnapshot({pi: [0.5, 0.5], A, B});
+    return Array.from({length: count}, () => `${name}: ${hmm.sample(T, rng).obs.map(o => "abc"[o]).join(" ")}`);
+  });
+  clsTrainEl.value = lines(6, 60).join("\n");
+  clsTestEl.value = lines(5, 40).join("\n");
+  clsNEl.value = 2;
+  clsStatus.textContent = "Example loaded — click Train & Classify.";
+});
+
+// ---------- Online EM ----------
+// A stream fed symbol by symbol to DiscreteHMM.observe, from the append box
+// or by replaying the observation input on a timer.
+const ONLINE_WINDOW = 40;        // filtered columns shown
+const ONLINE_CHART_POINTS = 400; // the log-likelihood curve is thinned to this
+let stream = null;
+
+function onlineOptions() {
+  return {
+    schedule: onlineScheduleEl.value,
+    kappa: Number(onlineKappaEl.value),
+    lambda: Number(onlineLambdaEl.value),
+    burnIn: Number(onlineBurnInEl.value),
+  };
+}
+
+// An empty model (M = 0) from the Configuration card's N, seed and init.
+function newStream() {
+  const {nStates, seed, initMode} = readSettings();
+  const hmm = new DiscreteHMM(nStates, 0, seed, initMode);
+  hmm.startOnline(onlineOptions());
+  return {hmm, vocab: new Map(), inv: [], labels: [], filtered: [], loglik: [], replay: null};
+}
+
+function feedStream(tokens) {
+  if (!stream) stream = newStream();
+  const {hmm, vocab, inv} = stream;
+  for (const tok of tokens) {
+    if (!vocab.has(tok)) { vocab.set(tok, inv.length); inv.push(tok); }
+    const {filtered, loglik} = hmm.observe(vocab.get(tok));
+    stream.labels.push(tok);
+    stream.filtered.push(filtered);
+    stream.loglik.push(loglik);
+  }
+  stream.labels.splice(0, stream.labels.length - ONLINE_WINDOW);
+  stream.filtered.splice(0, stream.filtered.length - ONLINE_WINDOW);
+}
+
+function renderStream() {
+  if (!stream || stream.loglik.length === 0) {
+    onlineFiltered.innerHTML = onlineParams.innerHTML = "";
+    onlineChart.getContext("2d").clearRect(0, 0, onlineChart.width, onlineChart.height);
+    return;
+  }
+  const {hmm, inv, labels, filtered, loglik} = stream;
+  const T = loglik.length, t0 = T - labels.length;
+
+  let html = `<table class="heatmap"><thead><tr><th>t</th>`;
+  labels.forEach((label, k) => { html += `<th title="t=${t0 + k}">${escapeHTML(label)}</th>`; });
+  html += `</tr></thead><tbody>`;
+  for (let i=0;i<hmm.N;i++) {
+    const color = STATE_COLORS[i % STATE_COLORS.length];
+    html += `<tr><th style="color:${color}">S${i}</th>`;
+    filtered.forEach((f, k) => {
+      const a = Math.round(f[i] * 230).toString(16).padStart(2, "0");
+      html += `<td style="background:${color}${a};color:${f[i] > 0.6 ? "#fff" : "var(--text)"}" title="P(S${i} at t=${t0 + k}) = ${f[i].toFixed(4)}">${f[i].toFixed(2)}</td>`;
+    });
+    html += `</tr>`;
+  }
+  onlineFiltered.innerHTML = html + `</tbody></table>`;
+
+  const step = Math.ceil(T / ONLINE_CHART_POINTS);
+  const xs = [];
+  for (let t=step-1;t<T;t+=step) xs.push(t + 1);
+  if (xs[xs.length - 1] !== T) xs.push(T);
+  drawLineChart(onlineChart, xs, [
+    {label: "Σ log P(o_t | o_<t) / t", color: "#2563eb", values: xs.map(t => loglik[t - 1] / t)},
+  ], {xLabel: "symbols seen", maxTicks: 8, dots: T < 60});
+
+  const states = Array.from({length: hmm.N}, (_, i) => `S${i}`);
+  onlineParams.innerHTML = `<p class="small">π (not updated online)</p>${vecToTable(hmm.pi, 3)}` +
+    `<p class="small">A</p>${toTable(hmm.A, null, null, 3)}` +
+    `<p class="small">B</p>${toTable(hmm.B, inv, states, 3)}`;
+
+  const {t, burnIn} = hmm.online;
+  const learning = t > burnIn ? `step size ${hmm.stepSize(t).toFixed(4)}` : `burn-in ${t}/${burnIn}`;
+  const replay = stream.replay ? ` · replay ${stream.replay.pos}/${stream.replay.tokens.length}` : "";
+  onlineStatus.textContent = `${T} symbols, ${inv.length} distinct · log-lik ${loglik[T - 1].toFixed(3)} ` +
+                             `(${(loglik[T - 1] / T).toFixed(4)} per symbol) · ${learning}${replay}`;
+}
+
+function appendOnline() {
+  const tokens = parseSequences(onlineInputEl.value, false, readTokenizer()).flat();
+  if (tokens.length === 0) return;
+  try {
+    feedStream(tokens);
+  } catch (err) {
+    onlineStatus.textContent = `⚠ ${err.message}`;
+    return;
+  }
+  onlineInputEl.value = "";
+  renderStream();
+}
+
+function stopReplay() {
+  if (stream && stream.replay) {
+    clearInterval(stream.replay.timer);
+    stream.replay = null;
+  }
+  onlineReplayBtn.textContent = "▶ Replay observations";
+}
+
+function pauseReplay() {
+  clearInterval(stream.replay.timer);
+  stream.replay.timer = null;
+  onlineReplayBtn.textContent = "▶ Resume replay";
+}
+
+// Feeds the replay's symbols at the chosen speed, several per tick when the
+// speed exceeds the frame rate.
+function runReplay() {
+  const replay = stream.replay;
+  const speed = Math.max(1, Number(onlineSpeedEl.value) || 1);
+  const interval = Math.max(1000 / speed, 30);
+  const perTick = Math.max(1, Math.round(speed * interval / 1000));
+  replay.timer = setInterval(() => {
+    const next = replay.tokens.slice(replay.pos, replay.pos + perTick);
+    replay.pos += next.length;
+    feedStream(next);
+    if (replay.pos >= replay.tokens.length) stopReplay();
+    renderStream();
+  }, interval);
+  onlineReplayBtn.textContent = "⏸ Pause replay";
+}
+
+// Replays the observation input, all sequences as one stream, onto the
+// current stream.
+function startReplay() {
+  const tokens = parseSequences(obsEl.value, true, readTokenizer()).flat();
+  if (tokens.length === 0) { onlineStatus.textContent = "⚠ Enter observations to replay."; return; }
+  try {
+    if (!stream) stream = newStream();
+  } catch (err) {
+    onlineStatus.textContent = `⚠ ${err.message}`;
+    return;
+  }
+  stream.replay = {tokens, pos: 0, timer: null};
+  runReplay();
+}
+
+onlineAppendBtn.addEventListener("click", appendOnline);
+onlineInputEl.addEventListener("keydown", e => { if (e.key === "Enter") { e.preventDefault(); appendOnline(); } });
+onlineReplayBtn.addEventListener("click", () => {
+  const replay = stream && stream.replay;
+  if (replay && replay.timer) pauseReplay();
+  else if (replay) runReplay();
+  else startReplay();
+});
+onlineResetBtn.addEventListener("click", () => {
+  stopReplay();
+  stream = null;
+  renderStream();
+  onlineStatus.textContent = "";
+});
+
+// Step-size settings apply to a running stream from its next symbol on.
+[onlineScheduleEl, onlineKappaEl, onlineLambdaEl, onlineBurnInEl].forEach(elm => elm.addEventListener("change", () => {
+  const forget = onlineScheduleEl.value === "forget";
+  onlineKappaEl.disabled = forget;
+  onlineLambdaEl.disabled = !forget;
+  if (!stream) return;
+  try {
+    stream.hmm.setStepSize(onlineOptions());
+    renderStream();
+  } catch (err) {
+    onlineStatus.textContent = `⚠ ${err.message}`;
+  }
+}));
+
+// ---------- Permalinks ----------
+// The hash is "#v=<version>&c=<payload>", the payload being base64url JSON
+// {settings, obs, model?} with the model in the export format.
+const LINK_VERSION = 1;
+
+function encodeLinkPayload(obj) {
+  const bytes = new TextEncoder().encode(JSON.stringify(obj));
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeLinkPayload(str) {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
+}
+
+// Ten significant digits keep links short and rows stochastic to ~1e-10.
+function roundForLink(x) {
+  if (Array.isArray(x)) return x.map(roundForLink);
+  return typeof x === "number" && Number.isFinite(x) ? Number(x.toPrecision(10)) : x;
+}
+
+function buildPermalink(includeModel) {
+  const payload = {settings: readSettings(), obs: obsEl.value};
+  if (includeModel) {
+    if (!currentResult) throw new Error("Train or import a model first, or untick “include model”.");
+    const {hmm, inv, settings, loglikHist} = currentResult;
+    const doc = modelToJSON(hmm, {inv, settings, loglikHist});
+    ["pi", "A", "B", "means", "vars", "loglikHist"].forEach(k => { if (doc[k] !== undefined) doc[k] = roundForLink(doc[k]); });
+    payload.model = doc;
+  }
+  return `#v=${LINK_VERSION}&c=${encodeLinkPayload(payload)}`;
+}
+
+linkBtn.addEventListener("click", async () => {
+  let hash;
+  try {
+    hash = buildPermalink(linkModelEl.checked);
+  } catch (err) {
+    statusEl.textContent = `⚠ ${err.message}`;
+    return;
+  }
+  history.replaceState(null, "", hash);
+  const what = linkModelEl.checked ? "configuration and model" : "configuration";
+  try {
+    await navigator.clipboard.writeText(location.href);
+    statusEl.textContent = `🔗 Link with the ${what} copied (${location.href.length.toLocaleString()} characters)`;
+  } catch (err) {
+    statusEl.textContent = `🔗 The address bar now links to this ${what} — copy it from there`;
+  }
+});
+
+// Restores a shared link: the inputs always, then the embedded model, or a
+// fresh training run when the link carries no model.
+function openPermalink() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  if (!params.has("c")) return;
+  let payload;
+  try {
+    const version = Number(params.get("v"));
+    if (version > LINK_VERSION) throw new Error("it was made by a newer version of this page");
+    if (version !== LINK_VERSION) throw new Error(`unknown link version ${JSON.stringify(params.get("v"))}`);
+    try { payload = decodeLinkPayload(params.get("c")); }
+    catch (err) { throw new Error("the link is truncated or corrupted"); }
+    if (!payload || typeof payload !== "object" || typeof payload.obs !== "string" ||
+        !payload.settings || typeof payload.settings !== "object")
+      throw new Error("the link is missing its configuration");
+    checkSettings(payload.settings);
+  } catch (err) {
+    statusEl.textContent = `⚠ Couldn't open the shared link: ${err.message}`;
+    return;
+  }
+
+  stopPlayback();
+  applySettings(payload.settings);
+  obsEl.value = payload.obs;
+  updatePreview();
+  if (payload.model) {
+    try {
+      statusEl.textContent = `🔗 Opened shared model — ${loadModel(modelFromJSON(payload.model))}`;
+    } catch (err) {
+      statusEl.textContent = `⚠ The shared model is invalid (${err.message}); its configuration was restored — press Train.`;
+    }
+  } else {
+    trainBtn.click();
+  }
+}
+
+window.addEventListener("hashchange", openPermalink);
+openPermalink();
@@ -0,0 +1,86 @@
+// Sequence classification with a bank of per-class HMMs: parsing labelled
+// lines, the shared vocabulary, posteriors and accuracy on sampled classes.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DiscreteHMM, mulberry32, parseLabelledSequences, classifierData, trainClassifier,
+  classifySequence, confusionMatrix, toIntSeq, UNKNOWN_SYMBOL, DEFAULT_TOKENIZER,
+} from "../hmm.js";
+
+// Two classes over the same symbols: one sticky, one alternating.
+const sticky = new DiscreteHMM(2, 3, 0);
+sticky.pi = [0.5, 0.5];
+sticky.A = [[0.95, 0.05], [0.05, 0.95]];
+sticky.B = [[0.8, 0.1, 0.1], [0.1, 0.1, 0.8]];
+const alternating = sticky.withSnapshot({A: [[0.05, 0.95], [0.95, 0.05]]});
+const names = ["a", "b", "c"];
+
+function labelled(label, hmm, count, T, rng) {
+  return Array.from({length: count}, () => ({label, symbols: hmm.sample(T, rng).obs.map(o => names[o])}));
+}
+
+test("labelled lines parse into labels and symbols", () => {
+  const ex = parseLabelledSequences("walk: a b a\n\nrun:c c\n  b a");
+  assert.deepEqual(ex, [
+    {label: "walk", symbols: ["a", "b", "a"]},
+    {label: "run", symbols: ["c", "c"]},
+    {label: null, symbols: ["b", "a"]},
+  ]);
+  assert.throws(() => parseLabelledSequences("walk: a\nb a", DEFAULT_TOKENIZER, true), /line 2 has no class label/);
+  assert.throws(() => parseLabelledSequences("walk:"), /line 1 has no symbols/);
+});
+
+test("classes share one vocabulary", () => {
+  const data = classifierData([{label: "x", symbols: ["a", "b"]}, {label: "y", symbols: ["c"]}, {label: "x", symbols: ["b"]}]);
+  assert.deepEqual(data.classes, ["x", "y"]);
+  assert.deepEqual(data.inv, ["a", "b", "c"]);
+  assert.deepEqual(data.byClass, [[[0, 1], [1]], [[2]]]);
+  assert.throws(() => classifierData([{label: "x", symbols: ["a"]}]), /at least two classes/);
+  assert.equal(toIntSeq(["d"], data.vocab)[0], UNKNOWN_SYMBOL);
+});
+
+test("a trained bank separates sampled classes", async () => {
+  const rng = mulberry32(4);
+  const train = [...labelled("sticky", sticky, 10, 40, rng), ...labelled("alt", alternating, 10, 40, rng)];
+  const settings = {nStates: 2, seed: 1, restarts: 2, initMode: "random", maxIter: 40, tol: 1e-6, prior: null, constraints: null};
+  const bank = await trainClassifier(train, settings);
+  assert.deepEqual(bank.classes, ["sticky", "alt"]);
+
+  const test = [...labelled("sticky", sticky, 20, 30, rng), ...labelled("alt", alternating, 20, 30, rng)];
+  const truth = [], predicted = [];
+  for (const ex of test) {
+    const r = classifySequence(bank.models, toIntSeq(ex.symbols, bank.vocab));
+    assert.ok(Math.abs(r.posterior.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+    assert.equal(r.predicted, r.scores.indexOf(Math.max(...r.scores)));
+    truth.push(bank.classes.indexOf(ex.label));
+    predicted.push(r.predicted);
+  }
+  const {matrix, accuracy} = confusionMatrix(truth, predicted, 2);
+  assert.equal(matrix.flat().reduce((a, b) => a + b, 0), 40);
+  assert.ok(accuracy >= 0.9, `accuracy ${accuracy}`);
+});
+
+test("classes can be trained elsewhere and training can stop", async () => {
+  const rng = mulberry32(5);
+  const train = [...labelled("sticky", sticky, 3, 20, rng), ...labelled("alt", alternating, 3, 20, rng)];
+  const settings = {nStates: 2, seed: 1, restarts: 2, initMode: "random", maxIter: 5, tol: 1e-6, prior: null, constraints: null};
+  const calls = [];
+  const bank = await trainClassifier(train, settings, 3, async (jobs, seqs, c) => {
+    calls.push({c, jobs: jobs.length, N: jobs[0].N, seqs: seqs.length});
+    return jobs.map((job, j) => ({hmm: new DiscreteHMM(job.N, job.M, j), loglikHist: [-10 + j]}));
+  });
+  assert.deepEqual(calls, [{c: 0, jobs: 2, N: 3, seqs: 3}, {c: 1, jobs: 2, N: 3, seqs: 3}]);
+  assert.deepEqual(bank.models.map(m => m.snapshot()), [1, 1].map(seed => new DiscreteHMM(3, 3, seed).snapshot()));
+
+  let seen = 0;
+  assert.equal(await trainClassifier(train, settings, 2, () => { seen++; return null; }), null);
+  assert.equal(seen, 1);
+});
+
+test("posteriors follow the score differences", () => {
+  const models = [sticky, alternating];
+  const O = [0, 0, 0, 2, 2, 2];
+  const {scores, posterior} = classifySequence(models, O);
+  assert.ok(Math.abs(Math.log(posterior[0] / posterior[1]) - (scores[0] - scores[1])) < 1e-9);
+  assert.deepEqual(confusionMatrix([0, 1, 1], [0, 0, 1], 2), {matrix: [[1, 0], [1, 1]], accuracy: 2 / 3});
+});
@@ -0,0 +1,109 @@
+// The typed-array engine against the nested-array reference implementation:
+// same log-likelihoods, re-estimates and Viterbi paths.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DiscreteHMM, GaussianHMM, UNKNOWN_SYMBOL, mulberry32, unscaledLogLattices, latticeGamma, latticeXi,
+} from "../hmm.js";
+import {assertClose} from "./helpers.js";
+
+const truth = new DiscreteHMM(3, 4, 0);
+truth.pi = [0.6, 0.3, 0.1];
+truth.A = [[0.8, 0.15, 0.05], [0.1, 0.8, 0.1], [0.2, 0.2, 0.6]];
+truth.B = [[0.7, 0.1, 0.1, 0.1], [0.1, 0.6, 0.2, 0.1], [0.05, 0.05, 0.2, 0.7]];
+
+// Runs both implementations from the same starting model and compares them.
+function assertSameTraining(hmm, O, msg, iters=15) {
+  const ref = hmm.withSnapshot(structuredClone(hmm.snapshot()));
+  const fast = hmm.baumWelch(O, iters, 0);
+  const slow = ref.baumWelchReference(O, iters, 0);
+  assertClose(fast.loglikHist, slow.loglikHist, 1e-9, `${msg} loglikHist`);
+  const a = hmm.snapshot(), b = ref.snapshot();
+  Object.keys(b).forEach(k => assertClose(a[k], b[k], 1e-8, `${msg} ${k}`));
+}
+
+test("Baum–Welch on the engine matches the reference", () => {
+  const rng = mulberry32(1);
+  const obs = truth.sample(300, rng).obs;
+  assertSameTraining(new DiscreteHMM(3, 4, 2), obs, "one sequence");
+  assertSameTraining(new DiscreteHMM(4, 4, 3), [obs.slice(0, 120), obs.slice(120, 121), obs.slice(121)], "several sequences");
+  const gaps = obs.map((o, t) => t % 7 === 3 ? UNKNOWN_SYMBOL : o);
+  assertSameTraining(new DiscreteHMM(3, 4, 4), gaps, "unknown symbols");
+
+  const priorAndZeros = new DiscreteHMM(3, 4, 5);
+  priorAndZeros.setPrior({alphaA: 2, alphaB: 1.5, sticky: 3});
+  priorAndZeros.setConstraints({topology: "left-right", zerosB: [[0, 3]], freeze: {pi: true}});
+  assertSameTraining(priorAndZeros, obs, "prior and constraints");
+
+  const xs = truth.sample(200, rng).states.map((s, t) => 2 * s + Math.sin(3 * t));
+  assertSameTraining(new GaussianHMM(3, 6, "random", xs), xs, "gaussian");
+});
+
+test("engine log-likelihood and Viterbi paths match the reference", () => {
+  const rng = mulberry32(2);
+  for (let seed=0;seed<4;seed++) {
+    const hmm = new DiscreteHMM(3, 4, seed);
+    const O = truth.sample(50 + 40 * seed, rng).obs;
+    assertClose(hmm.logLikelihood(O), hmm.forwardScaled(O).loglik, 1e-12, `seed ${seed} loglik`);
+    const vt = hmm.viterbiTrellis(O);
+    assert.deepEqual(hmm.viterbi(O), vt.path, `seed ${seed} path`);
+  }
+  // Ties break toward the lower state, as in the trellis.
+  const flat = new DiscreteHMM(2, 2, 0, "uniform");
+  assert.deepEqual(flat.viterbi([0, 1, 1]), flat.viterbiTrellis([0, 1, 1]).path);
+  assert.equal(flat.logLikelihood([]), 0);
+});
+
+test("windowed lattice and trellis views match the nested arrays", () => {
+  const hmm = new DiscreteHMM(3, 4, 6);
+  const O = truth.sample(40, mulberry32(5)).obs;
+  const {alpha, beta, c, gamma, xi, loglik} = hmm.eStep(O);
+  const fb = hmm.forwardBackward(O);
+  assertClose(fb.loglik, loglik, 1e-12, "loglik");
+  const row = (flat, t) => Array.from(flat.subarray(t * 3, t * 3 + 3));
+  for (let t=0;t<O.length;t++) {
+    assertClose(row(fb.alpha, t), alpha[t], 1e-12, `alpha[${t}]`);
+    assertClose(row(fb.beta, t), beta[t], 1e-12, `beta[${t}]`);
+    assertClose(fb.c[t], c[t], 1e-12, `c[${t}]`);
+    assertClose(latticeGamma(fb, t), gamma[t], 1e-12, `gamma[${t}]`);
+    if (t < O.length - 1) assertClose(latticeXi(fb, t), xi[t], 1e-12, `xi[${t}]`);
+  }
+
+  // Unscaled logs: log α̂ plus the log c's so far, log β̂ plus the rest.
+  const {logAlpha, logBeta} = unscaledLogLattices(fb, 10, 14);
+  assert.equal(logAlpha.length, 4);
+  const logC = c.map(Math.log);
+  const sum = (a, b) => logC.slice(a, b).reduce((s, x) => s + x, 0);
+  for (let t=10;t<14;t++) {
+    assertClose(logAlpha[t - 10], alpha[t].map(a => Math.log(a) + sum(0, t + 1)), 1e-9, `logAlpha[${t}]`);
+    assertClose(logBeta[t - 10], beta[t].map(b => Math.log(b) + sum(t + 1, O.length)), 1e-9, `logBeta[${t}]`);
+  }
+
+  const vt = hmm.viterbiTrellis(O);
+  const win = hmm.viterbiWindow(O, 12, 20);
+  assert.deepEqual(win.path, vt.path);
+  assert.equal(win.score, Math.max(...vt.dp[O.length - 1]));
+  assert.deepEqual(win.dp, vt.dp.slice(12, 20));
+  assert.deepEqual(win.back, vt.back.slice(12, 20));
+  assert.deepEqual(win.logB, vt.logB.slice(12, 20));
+  assert.deepEqual([win.logpi, win.logA], [vt.logpi, vt.logA]);
+  assert.deepEqual(hmm.viterbiWindow(O).dp, vt.dp);
+});
+
+test("a long sequence trains without the per-step tensors", () => {
+  const N = 6, M = 8;
+  const gen = new DiscreteHMM(N, M, 7);
+  const O = gen.sample(50000, mulberry32(3)).obs;
+  const hmm = new DiscreteHMM(N, M, 8);
+  const {loglikHist} = hmm.baumWelch(O, 3, 0);
+  assert.equal(loglikHist.length, 3);
+  assert.ok(loglikHist[2] >= loglikHist[0], "EM still climbs");
+  assert.ok(hmm.A.every(row => Math.abs(row.reduce((a, b) => a + b, 0) - 1) < 1e-9));
+});
+
+test("Gaussian initialization handles more values than a call takes arguments", () => {
+  const xs = Array.from({length: 300000}, (_, t) => Math.sin(t) * 4 + 1);
+  const hmm = new GaussianHMM(3, 1, "random", [xs.slice(0, 1000), xs]);
+  assert.ok(hmm.means.every(m => m >= -3 && m <= 5), `means ${hmm.means}`);
+  assert.ok(hmm.vars.every(v => v > 7 && v < 9), `vars ${hmm.vars}`);
+});
@@ -0,0 +1,11 @@
+// Assertions shared by the test files.
+import assert from "node:assert/strict";
+
+// Numbers or equally shaped (nested) arrays agree to within `tol`, relative
+// to the size of the expected values once they exceed 1.
+export function assertClose(actual, expected, tol, msg) {
+  const x = [actual].flat(2), y = [expected].flat(2);
+  assert.equal(x.length, y.length, `${msg}: shapes differ`);
+  x.forEach((v, k) => assert.ok(Math.abs(v - y[k]) <= tol * Math.max(1, Math.abs(y[k])),
+    `${msg}${x.length > 1 ? `[${k}]` : ""}: ${v} vs ${y[k]}`));
+}
@@ -0,0 +1,43 @@
+// Model documents: export/import round trip and clear errors for malformed
+// files, including their settings block.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {DiscreteHMM, modelToJSON, modelFromJSON, checkSettings} from "../hmm.js";
+
+const hmm = new DiscreteHMM(2, 3, 1);
+const settings = {
+  nStates: 2, maxIter: 50, tol: 1e-4, seed: 1, initMode: "kmeans", algorithm: "both", emission: "auto",
+  tokenizer: {mode: "whitespace", delimiter: "", caseFold: false}, restarts: 3,
+  prior: {alphaPi: 1, alphaA: 2, alphaB: 1, sticky: 0, pseudocounts: {}},
+  constraints: {topology: "left-right", maxJump: 1, zerosA: "", zerosB: "0:b", freeze: {pi: true, A: false, B: false}},
+};
+const doc = () => JSON.parse(JSON.stringify(modelToJSON(hmm, {inv: ["a", "b", "c"], settings, loglikHist: [-3, -2]})));
+
+test("an exported model imports with its settings", () => {
+  const model = modelFromJSON(doc());
+  assert.deepEqual(model.hmm.snapshot(), hmm.snapshot());
+  assert.deepEqual(model.settings, settings);
+  assert.deepEqual(model.inv, ["a", "b", "c"]);
+  const bare = doc();
+  delete bare.settings;
+  assert.deepEqual(modelFromJSON(bare).settings, {});
+});
+
+test("malformed settings are rejected with the field named", () => {
+  const withSettings = (patch) => ({...doc(), settings: {...settings, ...patch}});
+  assert.throws(() => modelFromJSON({...doc(), settings: [1]}), /settings must be an object/);
+  assert.throws(() => modelFromJSON(withSettings({constraints: {}})), /settings\.constraints\.topology must be one of/);
+  assert.throws(() => modelFromJSON(withSettings({constraints: {...settings.constraints, freeze: null}})), /settings\.constraints\.freeze/);
+  assert.throws(() => modelFromJSON(withSettings({tokenizer: null})), /settings\.tokenizer must be an object/);
+  assert.throws(() => modelFromJSON(withSettings({prior: {alphaPi: 1}})), /settings\.prior\.alphaA must be a finite number/);
+  assert.throws(() => modelFromJSON(withSettings({maxIter: "many"})), /settings\.maxIter/);
+  assert.throws(() => modelFromJSON(withSettings({initMode: "magic"})), /settings\.initMode/);
+  assert.deepEqual(modelFromJSON(withSettings({prior: null, constraints: null})).settings.constraints, null);
+});
+
+test("settings counts stay within the page's ranges", () => {
+  assert.equal(checkSettings(settings), settings);
+  assert.throws(() => checkSettings({...settings, restarts: 1e6}), /settings\.restarts must be a whole number from 1 to 50/);
+  assert.throws(() => checkSettings({...settings, nStates: 2.5}), /settings\.nStates/);
+  assert.throws(() => checkSettings({...settings, maxIter: 0}), /settings\.maxIter/);
+});
@@ -0,0 +1,171 @@
+// Forward/backward, Viterbi and posteriors checked against exhaustive
+// enumeration of every state path on tiny models.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {DiscreteHMM, GaussianHMM, mulberry32, UNKNOWN_SYMBOL, heldOutScore} from "../hmm.js";
+import {assertClose} from "./helpers.js";
+
+// Every state path of length T over N states.
+function* paths(N, T) {
+  const q = new Array(T).fill(0);
+  while (true) {
+    yield q.slice();
+    let t = T - 1;
+    while (t >= 0 && ++q[t] === N) q[t--] = 0;
+    if (t < 0) return;
+  }
+}
+
+function pathProb(hmm, O, q) {
+  let p = hmm.pi[q[0]] * hmm.emissionProb(q[0], O[0]);
+  for (let t=1;t<O.length;t++) p *= hmm.A[q[t-1]][q[t]] * hmm.emissionProb(q[t], O[t]);
+  return p;
+}
+
+// P(O), the best path probability and the state/transition marginals.
+function bruteForce(hmm, O) {
+  const N = hmm.N, T = O.length;
+  let total = 0, best = -1;
+  const gamma = O.map(() => new Array(N).fill(0));
+  const xi = O.slice(1).map(() => Array.from({length: N}, () => new Array(N).fill(0)));
+  for (const q of paths(N, T)) {
+    const p = pathProb(hmm, O, q);
+    total += p;
+    if (p > best) best = p;
+    for (let t=0;t<T;t++) gamma[t][q[t]] += p;
+    for (let t=0;t<T-1;t++) xi[t][q[t]][q[t+1]] += p;
+  }
+  return {
+    total, best,
+    gamma: gamma.map(row => row.map(g => g / total)),
+    xi: xi.map(m => m.map(row => row.map(x => x / total))),
+  };
+}
+
+function randomSeq(T, M, seed) {
+  const rng = mulberry32(seed);
+  return Array.from({length: T}, () => Math.floor(rng() * M));
+}
+
+const CASES = [];
+for (const N of [1, 2, 3])
+  for (const M of [1, 2, 3])
+    for (const T of [1, 2, 5]) CASES.push({N, M, T});
+
+test("forward likelihood matches enumeration", () => {
+  CASES.forEach(({N, M, T}, k) => {
+    const hmm = new DiscreteHMM(N, M, 100 + k);
+    const O = randomSeq(T, M, k);
+    const {total} = bruteForce(hmm, O);
+    assertClose(hmm.forwardScaled(O).loglik, Math.log(total), 1e-10, `N=${N} M=${M} T=${T}`);
+  });
+});
+
+test("Viterbi path is a most probable path", () => {
+  CASES.forEach(({N, M, T}, k) => {
+    const hmm = new DiscreteHMM(N, M, 200 + k);
+    const O = randomSeq(T, M, k);
+    const path = hmm.viterbi(O);
+    assert.equal(path.length, T);
+    assertClose(pathProb(hmm, O, path), bruteForce(hmm, O).best, 1e-10, `N=${N} M=${M} T=${T}`);
+  });
+});
+
+test("gamma and xi match enumerated marginals", () => {
+  CASES.forEach(({N, M, T}, k) => {
+    const hmm = new DiscreteHMM(N, M, 300 + k);
+    const O = randomSeq(T, M, k);
+    const exact = bruteForce(hmm, O);
+    const {gamma, xi} = hmm.eStep(O);
+    for (let t=0;t<T;t++) for (let i=0;i<N;i++) assertClose(gamma[t][i], exact.gamma[t][i], 1e-9, `gamma[${t}][${i}]`);
+    for (let t=0;t<T-1;t++)
+      for (let i=0;i<N;i++) for (let j=0;j<N;j++) assertClose(xi[t][i][j], exact.xi[t][i][j], 1e-9, `xi[${t}][${i}][${j}]`);
+  });
+});
+
+test("posterior decoding picks the most probable state at each t", () => {
+  CASES.forEach(({N, M, T}, k) => {
+    const hmm = new DiscreteHMM(N, M, 400 + k);
+    const O = randomSeq(T, M, k);
+    const exact = bruteForce(hmm, O).gamma;
+    const path = hmm.posteriorDecode(O);
+    assert.equal(path.length, T);
+    path.forEach((q, t) => assert.ok(exact[t][q] >= Math.max(...exact[t]) - 1e-12, `t=${t}`));
+    assert.deepEqual(hmm.posteriorDecode(O, hmm.forwardBackward(O)), path);
+  });
+});
+
+test("scaled backward pass reproduces the likelihood", () => {
+  const hmm = new DiscreteHMM(3, 2, 7);
+  const O = [0, 1, 1, 0, 1];
+  const {alpha, c} = hmm.forwardScaled(O);
+  const beta = hmm.backwardScaled(O, c);
+  // sum_i alpha_t(i) beta_t(i) = 1 for every t with the shared scaling.
+  for (let t=0;t<O.length;t++) assertClose(alpha[t].reduce((s, a, i) => s + a * beta[t][i], 0), 1, 1e-12, `t=${t}`);
+  // beta_0 unscaled: sum_i pi_i b_i(o_0) beta_0(i) = P(O).
+  const suffix = c.slice(1).reduce((p, x) => p * x, 1);
+  const pO = hmm.pi.reduce((s, p, i) => s + p * hmm.B[i][O[0]] * beta[0][i] * suffix, 0);
+  assertClose(Math.log(pO), Math.log(bruteForce(hmm, O).total), 1e-10, "P(O) from beta");
+});
+
+test("T=1 reduces to the initial distribution", () => {
+  const hmm = new DiscreteHMM(3, 4, 11);
+  const expected = Math.log(hmm.pi.reduce((s, p, i) => s + p * hmm.B[i][2], 0));
+  assertClose(hmm.forwardScaled([2]).loglik, expected, 1e-12, "loglik");
+  const scores = hmm.pi.map((p, i) => p * hmm.B[i][2]);
+  assert.deepEqual(hmm.viterbi([2]), [scores.indexOf(Math.max(...scores))]);
+});
+
+test("a single symbol (M=1) has likelihood 1", () => {
+  const hmm = new DiscreteHMM(3, 1, 5);
+  assertClose(hmm.forwardScaled([0, 0, 0, 0]).loglik, 0, 1e-12, "loglik");
+});
+
+test("zero-probability emissions are handled exactly", () => {
+  const hmm = new DiscreteHMM(2, 2, 0);
+  hmm.pi = [0.5, 0.5];
+  hmm.A = [[0.9, 0.1], [0.2, 0.8]];
+  hmm.B = [[1, 0], [0.3, 0.7]];        // state 0 never emits symbol 1
+  const O = [0, 1, 0, 1];
+  const exact = bruteForce(hmm, O);
+  assertClose(hmm.forwardScaled(O).loglik, Math.log(exact.total), 1e-12, "loglik");
+  const path = hmm.viterbi(O);
+  assert.equal(path[1], 1);
+  assert.equal(path[3], 1);
+  assertClose(pathProb(hmm, O, path), exact.best, 1e-12, "best path");
+  const {gamma} = hmm.eStep(O);
+  assert.ok(gamma[1][0] < 1e-9 && gamma[3][0] < 1e-9);
+});
+
+test("an impossible sequence gets a vanishing, finite likelihood", () => {
+  const hmm = new DiscreteHMM(2, 2, 0);
+  hmm.B = [[1, 0], [1, 0]];
+  const {loglik} = hmm.forwardScaled([0, 1]);
+  assert.ok(Number.isFinite(loglik) && loglik < Math.log(1e-200));
+});
+
+test("unknown symbols are marginalized out", () => {
+  const hmm = new DiscreteHMM(2, 3, 9);
+  const O = [0, UNKNOWN_SYMBOL, 2];
+  let total = 0;
+  for (let k=0;k<3;k++) total += Math.exp(hmm.forwardScaled([0, k, 2]).loglik);
+  assertClose(hmm.forwardScaled(O).loglik, Math.log(total), 1e-10, "loglik");
+});
+
+test("held-out scores average over known symbols only", () => {
+  const hmm = new DiscreteHMM(2, 3, 9);
+  const O = [[0, UNKNOWN_SYMBOL, 2], [1]];
+  const score = heldOutScore(hmm, O);
+  assert.deepEqual([score.n, score.oov], [3, 1]);
+  assertClose(score.perSymbol, (hmm.forwardScaled(O[0]).loglik + hmm.forwardScaled(O[1]).loglik) / 3, 1e-12, "per symbol");
+  assert.throws(() => heldOutScore(hmm, [[UNKNOWN_SYMBOL, UNKNOWN_SYMBOL]]), /every held-out symbol is unknown/);
+  assert.throws(() => heldOutScore(hmm, []), /held-out part is empty/);
+});
+
+test("Gaussian emissions match enumeration", () => {
+  const O = [0.3, 2.1, 1.7, -0.4];
+  const hmm = new GaussianHMM(3, 4, "random", O);
+  const exact = bruteForce(hmm, O);
+  assertClose(hmm.forwardScaled(O).loglik, Math.log(exact.total), 1e-10, "loglik");
+  assertClose(pathProb(hmm, O, hmm.viterbi(O)), exact.best, 1e-10, "best path");
+});
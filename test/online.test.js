@@ -0,0 +1,97 @@
+// Online EM: its running statistics against forward–backward on a fixed
+// model, recovery on a long stream, and symbols that appear mid-stream.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {DiscreteHMM, mulberry32, matchStates, permuteStates, meanAbsError} from "../hmm.js";
+import {assertClose} from "./helpers.js";
+
+const truth = new DiscreteHMM(2, 3, 0);
+truth.pi = [0.7, 0.3];
+truth.A = [[0.85, 0.15], [0.25, 0.75]];
+truth.B = [[0.6, 0.3, 0.1], [0.1, 0.3, 0.6]];
+
+test("with the parameters held, the recursion gives step-weighted smoothed counts", () => {
+  const hmm = new DiscreteHMM(3, 3, 4);
+  const O = truth.sample(12, mulberry32(2)).obs;
+  const T = O.length;
+  hmm.startOnline({schedule: "decay", kappa: 0.7, t0: 1, burnIn: T});
+  let last;
+  for (const o of O) last = hmm.observe(o);
+
+  const {gamma, xi, loglik, alpha} = hmm.eStep(O);
+  assertClose(last.loglik, loglik, 1e-11, "running log-likelihood");
+  last.filtered.forEach((p, i) => assertClose(p, alpha[T-1][i], 1e-12, `filtered state ${i}`));
+
+  // Symbol t (1-based) enters with weight g_t and decays by 1 − g_s after.
+  const g = t => hmm.stepSize(t);
+  const w = new Array(T).fill(0);
+  let start = 1;
+  for (let t=1;t<=T;t++) {
+    for (let s=0;s<t-1;s++) w[s] *= 1 - g(t);
+    w[t-1] = g(t);
+    start *= 1 - g(t);
+  }
+  const {rhoA, rhoB} = hmm.online;
+  const expect = v => v.reduce((s, x, m) => s + x * last.filtered[m], 0);
+  for (let i=0;i<3;i++) {
+    for (let j=0;j<3;j++) {
+      let want = start * hmm.A[i][j] / 3;
+      for (let t=1;t<T;t++) want += w[t] * xi[t-1][i][j];
+      assertClose(expect(rhoA[i][j]), want, 1e-12, `A count ${i}→${j}`);
+    }
+    for (let k=0;k<3;k++) {
+      let want = start * hmm.B[i][k] / 3;
+      for (let t=0;t<T;t++) if (O[t] === k) want += w[t] * gamma[t][i];
+      assertClose(expect(rhoB[i][k]), want, 1e-12, `B count ${i}:${k}`);
+    }
+  }
+});
+
+test("online EM recovers the generating model from a long stream", () => {
+  const obs = truth.sample(10000, mulberry32(1)).obs;
+  for (const options of [{}, {schedule: "forget", lambda: 0.995}]) {
+    const hmm = new DiscreteHMM(2, 3, 3);
+    hmm.startOnline(options);
+    for (const o of obs) hmm.observe(o);
+    const aligned = permuteStates(hmm, matchStates(truth, hmm));
+    assert.ok(meanAbsError(truth.A, aligned.A) < 0.1, `A for ${JSON.stringify(options)}`);
+    assert.ok(meanAbsError(truth.B, aligned.B) < 0.1, `B for ${JSON.stringify(options)}`);
+  }
+});
+
+test("symbols first seen mid-stream grow the vocabulary", () => {
+  const hmm = new DiscreteHMM(2, 1, 5);
+  hmm.startOnline({burnIn: 0});
+  const stream = [0, 0, 1, 0, 1, 2, 2, 1, 0, 2];
+  let res;
+  for (const o of stream) res = hmm.observe(o);
+  assert.equal(hmm.M, 3);
+  hmm.B.forEach((row, i) => {
+    assert.equal(row.length, 3);
+    assertClose(row.reduce((a, b) => a + b, 0), 1, 1e-12, `row ${i}`);
+  });
+  assert.ok(Number.isFinite(res.loglik) && res.loglik < 0);
+
+  const empty = new DiscreteHMM(3, 0, 1);
+  empty.observe(0);
+  assert.deepEqual(empty.B, [[1], [1], [1]]);
+  assert.throws(() => hmm.observe(5), /out of range/);
+  assert.throws(() => hmm.setStepSize({kappa: 0.4}), /kappa/);
+  assert.throws(() => hmm.setStepSize({schedule: "forget", lambda: 1}), /lambda/);
+});
+
+test("new symbols keep constraints that have no B zeros", () => {
+  const hmm = new DiscreteHMM(3, 2, 6);
+  hmm.setConstraints({topology: "left-right"});
+  hmm.startOnline({burnIn: 0});
+  for (const o of [0, 1, 2, 2, 0]) hmm.observe(o);
+  assert.equal(hmm.M, 3);
+  assert.equal(hmm.constraints.maskB, null);
+  assert.deepEqual(hmm.A[1].slice(0, 1), [0]);
+  assert.deepEqual(hmm.pi.slice(1), [0, 0]);
+
+  const zeros = new DiscreteHMM(2, 2, 7);
+  zeros.setConstraints({zerosB: [[0, 1]]});
+  zeros.observe(2);
+  assert.deepEqual(zeros.constraints.maskB, [[true, false, true], [true, true, true]]);
+});
@@ -0,0 +1,203 @@
+// Baum–Welch properties: monotone objective, determinism under a seed,
+// constraints that survive re-estimation and starting from given parameters;
+// Viterbi training and the initialization strategies.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DiscreteHMM, GaussianHMM, INIT_MODES, createModel, mulberry32, restartJobs, setRowEntry,
+  totalLoglik, trainJob, freeParameterCount,
+} from "../hmm.js";
+
+function assertNonDecreasing(hist, msg) {
+  for (let k=1;k<hist.length;k++)
+    assert.ok(hist[k] >= hist[k-1] - 1e-9, `${msg}: step ${k} went from ${hist[k-1]} to ${hist[k]}`);
+}
+
+function assertStochastic(rows, msg) {
+  rows.forEach((row, i) => {
+    assert.ok(row.every(x => x >= 0), `${msg} row ${i} has a negative entry`);
+    assert.ok(Math.abs(row.reduce((a, b) => a + b, 0) - 1) < 1e-9, `${msg} row ${i} doesn't sum to 1`);
+  });
+}
+
+const truth = new DiscreteHMM(2, 3, 0);
+truth.pi = [0.7, 0.3];
+truth.A = [[0.85, 0.15], [0.25, 0.75]];
+truth.B = [[0.6, 0.3, 0.1], [0.1, 0.3, 0.6]];
+const obs = truth.sample(200, mulberry32(1)).obs;
+
+test("log-likelihood never decreases across EM iterations", () => {
+  for (let seed=0;seed<5;seed++) {
+    const hmm = new DiscreteHMM(3, 3, seed);
+    const {loglikHist} = hmm.baumWelch(obs, 60, 0);
+    assertNonDecreasing(loglikHist, `seed ${seed}`);
+  }
+});
+
+test("monotone over several sequences and with Gaussian emissions", () => {
+  const seqs = [obs.slice(0, 50), obs.slice(50, 60), obs.slice(60)];
+  assertNonDecreasing(new DiscreteHMM(2, 3, 3).baumWelch(seqs, 40, 0).loglikHist, "discrete, 3 sequences");
+  const xs = truth.sample(150, mulberry32(2)).states.map((s, t) => (s ? 3 : 0) + Math.sin(t));
+  assertNonDecreasing(new GaussianHMM(2, 1, "random", xs).baumWelch(xs, 40, 0).loglikHist, "gaussian");
+});
+
+test("log-posterior never decreases with Dirichlet priors", () => {
+  const hmm = new DiscreteHMM(3, 3, 4);
+  hmm.setPrior({alphaPi: 2, alphaA: 1.5, alphaB: 3, sticky: 4});
+  assertNonDecreasing(hmm.baumWelch(obs, 60, 0).loglikHist, "MAP");
+});
+
+test("more states than distinct symbols still trains to valid parameters", () => {
+  const hmm = new DiscreteHMM(5, 2, 6);
+  const {loglikHist} = hmm.baumWelch([0, 1, 1, 0, 1, 1, 1, 0], 50, 0);
+  assertNonDecreasing(loglikHist, "N=5, M=2");
+  assertStochastic([hmm.pi], "pi");
+  assertStochastic(hmm.A, "A");
+  assertStochastic(hmm.B, "B");
+});
+
+test("training on a single observation (T=1) converges", () => {
+  const hmm = new DiscreteHMM(2, 2, 1);
+  const {loglikHist} = hmm.baumWelch([1], 10);
+  assertNonDecreasing(loglikHist, "T=1");
+  assert.ok(loglikHist[loglikHist.length - 1] > -1e-6);
+});
+
+test("seeded runs are deterministic", () => {
+  const job = {emission: "discrete", N: 3, M: 3, seed: 17, initMode: "random"};
+  const a = createModel(job, [obs]), b = createModel(job, [obs]);
+  assert.deepEqual(a.snapshot(), b.snapshot());
+  const ra = a.baumWelch(obs, 25), rb = b.baumWelch(obs, 25);
+  assert.deepEqual(ra.loglikHist, rb.loglikHist);
+  assert.deepEqual(a.snapshot(), b.snapshot());
+  assert.notDeepEqual(createModel({...job, seed: 18}, [obs]).snapshot(), createModel(job, [obs]).snapshot());
+  assert.deepEqual(truth.sample(30, mulberry32(5)), truth.sample(30, mulberry32(5)));
+});
+
+test("structural zeros and frozen parameters survive re-estimation", () => {
+  const hmm = new DiscreteHMM(3, 3, 8);
+  hmm.setConstraints({topology: "left-right", maxJump: 1, zerosB: [[0, 2]], freeze: {B: false}});
+  hmm.baumWelch(obs, 30, 0);
+  assert.deepEqual(hmm.pi.slice(1), [0, 0]);
+  for (let i=0;i<3;i++) for (let j=0;j<3;j++) if (j < i || j > i + 1) assert.equal(hmm.A[i][j], 0);
+  assert.equal(hmm.B[0][2], 0);
+
+  const frozen = new DiscreteHMM(2, 3, 8);
+  frozen.setConstraints({freeze: {A: true}});
+  const A0 = frozen.A.map(row => row.slice());
+  frozen.baumWelch(obs, 10, 0);
+  assert.deepEqual(frozen.A, A0);
+});
+
+test("constraints reduce the free parameter count", () => {
+  const hmm = new DiscreteHMM(3, 4, 1);
+  assert.equal(freeParameterCount(hmm), 2 + 3 * 2 + 3 * 3);
+  // Left-right with jumps of one: π is fixed at S0, A rows keep 2, 2 and 1 entries.
+  hmm.setConstraints({topology: "left-right", maxJump: 1});
+  assert.equal(freeParameterCount(hmm), 0 + (1 + 1 + 0) + 3 * 3);
+  hmm.setConstraints({topology: "left-right", maxJump: 1, zerosB: [[0, 1], [0, 2]], freeze: {B: false}});
+  assert.equal(freeParameterCount(hmm), 2 + 7);
+  hmm.setConstraints({zerosA: [[0, 2]], freeze: {pi: true, B: true}});
+  assert.equal(freeParameterCount(hmm), 1 + 2 + 2);
+
+  const gauss = new GaussianHMM(2, 1, "random", [0, 1, 2]);
+  assert.equal(freeParameterCount(gauss), 1 + 2 + 4);
+  gauss.setConstraints({topology: "left-right", freeze: {B: true}});
+  assert.equal(freeParameterCount(gauss), 1);
+});
+
+test("training can start from given parameters", () => {
+  const init = truth.snapshot();
+  const job = {emission: "discrete", N: 2, M: 3, seed: 3, initMode: "random", init};
+  const hmm = createModel(job, [obs]);
+  assert.deepEqual(hmm.snapshot(), init);
+  const {loglikHist} = hmm.baumWelch(obs, 10, 0);
+  assert.ok(Math.abs(loglikHist[0] - totalLoglik(truth, obs)) < 1e-9);
+  assert.deepEqual(init, truth.snapshot(), "the job's parameters are not modified");
+  assertNonDecreasing(loglikHist, "from truth");
+});
+
+test("editing one entry keeps the row stochastic", () => {
+  const row = setRowEntry([0.5, 0.3, 0.2], 0, 0.8);
+  assertStochastic([row], "edited");
+  assert.equal(row[0], 0.8);
+  assert.ok(Math.abs(row[1] / row[2] - 1.5) < 1e-12, "the other entries keep their ratio");
+  assert.deepEqual(setRowEntry([1, 0, 0], 0, 0.4), [0.4, 0.3, 0.3]);
+  assert.deepEqual(setRowEntry([0.5, 0.5, 0], 1, 0.25, [true, true, false]), [0.75, 0.25, 0]);
+  assert.throws(() => setRowEntry([0.5, 0.5, 0], 2, 0.1, [true, true, false]), /structural zero/);
+  assert.throws(() => setRowEntry([0.5, 0.5], 0, 1.5), /between 0 and 1/);
+  assert.throws(() => setRowEntry([1, 0], 0, 0.5, [true, false]), /must stay 1/);
+});
+
+test("uniform init is a fixed point: the states never separate", () => {
+  const hmm = new DiscreteHMM(3, 3, 0, "uniform");
+  hmm.baumWelch(obs, 20, 0);
+  for (let i=1;i<3;i++) {
+    assert.deepEqual(hmm.A[i], hmm.A[0]);
+    assert.deepEqual(hmm.B[i], hmm.B[0]);
+  }
+});
+
+test("every initialization gives valid, seeded parameters that can separate", () => {
+  const xs = truth.sample(150, mulberry32(2)).states.map((s, t) => (s ? 3 : 0) + 0.3 * Math.sin(t));
+  for (const initMode of INIT_MODES) {
+    const job = {emission: "discrete", N: 3, M: 3, seed: 5, initMode, initConcentration: 0.5, initWindow: 4};
+    const hmm = createModel(job, [obs]);
+    assertStochastic([hmm.pi], `${initMode} pi`);
+    assertStochastic(hmm.A, `${initMode} A`);
+    assertStochastic(hmm.B, `${initMode} B`);
+    assert.deepEqual(hmm.snapshot(), createModel(job, [obs]).snapshot(), `${initMode} is deterministic`);
+    if (initMode !== "uniform") assert.notDeepEqual(hmm.B[0], hmm.B[1], `${initMode} states differ`);
+    const g = createModel({...job, emission: "gaussian", M: 0}, [xs]);
+    assertStochastic(g.A, `${initMode} gaussian A`);
+    assert.ok(g.means.every(Number.isFinite) && g.vars.every(v => v > 0), `${initMode} gaussian emissions`);
+  }
+  assert.throws(() => createModel({emission: "discrete", N: 2, M: 3, initMode: "dirichlet", initConcentration: 0}, [obs]), /concentration/);
+  assert.throws(() => createModel({emission: "discrete", N: 2, M: 3, initMode: "kmeans", initWindow: 0}, [obs]), /window/);
+});
+
+test("Dirichlet concentration controls how peaked the initial rows are", () => {
+  const maxEntry = a => createModel({emission: "discrete", N: 4, M: 8, seed: 1, initMode: "dirichlet", initConcentration: a}, [[0]])
+    .B.reduce((s, row) => s + Math.max(...row), 0) / 4;
+  assert.ok(maxEntry(0.1) > 0.6, "small concentrations give peaked rows");
+  assert.ok(maxEntry(100) < 0.2, "large ones give nearly uniform rows");
+});
+
+test("k-means init finds well-separated regimes", () => {
+  const xs = [];
+  for (let t=0;t<200;t++) xs.push((Math.floor(t / 25) % 2 ? 10 : 0) + Math.sin(7 * t));
+  const hmm = createModel({emission: "gaussian", N: 2, seed: 2, initMode: "kmeans", initWindow: 5}, [xs]);
+  const means = hmm.means.slice().sort((a, b) => a - b);
+  assert.ok(Math.abs(means[0]) < 1.5 && Math.abs(means[1] - 10) < 1.5, `means ${means}`);
+  assert.ok(Math.max(hmm.A[0][0], hmm.A[1][1]) > 0.8, "windows of the same regime are sticky");
+});
+
+test("Viterbi training raises the best-path score and stops at a fixed point", () => {
+  for (let seed=0;seed<5;seed++) {
+    const hmm = new DiscreteHMM(3, 3, seed);
+    const start = hmm.snapshot();
+    const reported = [];
+    const {loglikHist, scoreHist, snapshots} = hmm.viterbiTraining(obs, 50, 0, 1e-12, (it, ll, snap, score) => reported.push(score));
+    assertNonDecreasing(scoreHist, `seed ${seed}`);
+    assert.deepEqual(reported, scoreHist, "onIter reports the score");
+    assert.ok(loglikHist.length < 50, `seed ${seed} converged`);
+    assert.equal(snapshots.length, loglikHist.length + 1);
+    assert.ok(Math.abs(loglikHist[0] - totalLoglik(hmm.withSnapshot(start), obs)) < 1e-9, "records log P(O) like baumWelch");
+    assertStochastic(hmm.A, `seed ${seed} A`);
+    assertStochastic(hmm.B, `seed ${seed} B`);
+    const path = hmm.viterbi(obs);
+    const again = hmm.withSnapshot(hmm.snapshot());
+    again.viterbiTraining(obs, 1, 0);
+    assert.deepEqual(again.viterbi(obs), path, "one more iteration keeps the path");
+  }
+});
+
+test("jobs can compare both learning rules on the same restarts", () => {
+  const settings = {nStates: 2, seed: 7, restarts: 2, initMode: "random", maxIter: 15, tol: 0, algorithm: "both"};
+  const jobs = restartJobs(settings, {gaussian: false, inv: ["a", "b", "c"]});
+  assert.deepEqual(jobs.map(j => [j.algorithm, j.seed]), [["baum-welch", 7], ["baum-welch", 8], ["viterbi", 7], ["viterbi", 8]]);
+  const bw = trainJob(jobs[0], [obs]), vt = trainJob(jobs[2], [obs]);
+  assert.equal(bw.loglikHist[0], vt.loglikHist[0], "same data, same starting point");
+  assert.ok(vt.scoreHist && !bw.scoreHist);
+  assert.throws(() => restartJobs({...settings, algorithm: "gibbs"}, {gaussian: false, inv: ["a"]}), /learning rule/);
+});
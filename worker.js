@@ -0,0 +1,18 @@
+// Trains HMMs off the main thread. Receives {jobs, seqs}; posts "iter" after
+// every EM iteration, "done" when a job finishes and "finished" at the end.
+// Loaded as a module worker.
+import {trainJob} from "./hmm.js";
+
+self.onmessage = e => {
+  const {jobs, seqs} = e.data;
+  try {
+    jobs.forEach((job, j) => {
+      const {snapshots} = trainJob(job, seqs,
+        (it, loglik, snapshot, score) => self.postMessage({type: "iter", job: j, it, loglik, snapshot, score}));
+      self.postMessage({type: "done", job: j, final: snapshots[snapshots.length - 1]});
+    });
+    self.postMessage({type: "finished"});
+  } catch (err) {
+    self.postMessage({type: "error", message: err.message});
+  }
+};